@@ -27,12 +27,88 @@ class WhileStatement extends ASTNode {
   }
 }
 
+class DoWhileStatement extends ASTNode {
+  constructor(body, condition, line, column) {
+    super(line, column);
+    this.body = body;
+    this.condition = condition;
+  }
+}
+
+class SwitchStatement extends ASTNode {
+  constructor(discriminant, cases, line, column) {
+    super(line, column);
+    this.discriminant = discriminant;
+    this.cases = cases;
+  }
+}
+
+class SwitchCase extends ASTNode {
+  constructor(test, body, line, column) {
+    super(line, column);
+    this.test = test; // null for the default branch
+    this.body = body;
+  }
+}
+
+class BreakStatement extends ASTNode {
+  constructor(line, column) {
+    super(line, column);
+  }
+}
+
+class ContinueStatement extends ASTNode {
+  constructor(line, column) {
+    super(line, column);
+  }
+}
+
 class VariableDeclaration extends ASTNode {
-  constructor(type, name, initializer, line, column) {
+  constructor(type, name, initializer, line, column, constant = false) {
     super(line, column);
     this.type = type;     // Data type (sahih, ashar, harf)
     this.name = name;     // Variable name
     this.initializer = initializer; // Initial value, can be null
+    this.constant = constant; // Declared with 'sabet'; the value never changes
+    this.doc = null;          // Documentation comment before the declaration
+  }
+}
+
+class ArrayDeclaration extends ASTNode {
+  constructor(type, name, sizeExpression, elements, line, column) {
+    super(line, column);
+    this.type = type;         // Element type (sahih, ashar, harf)
+    this.name = name;         // Array name
+    this.sizeExpression = sizeExpression; // Constant expression giving the size
+    this.size = null;         // Number of elements, set by the semantic analyzer
+    this.elements = elements; // Initializer list, can be null
+    this.doc = null;          // Documentation comment before the declaration
+  }
+}
+
+class FunctionDeclaration extends ASTNode {
+  constructor(returnType, name, params, body, line, column) {
+    super(line, column);
+    this.returnType = returnType; // Return type (sahih, ashar, harf, khali)
+    this.name = name;             // Function name
+    this.params = params || [];   // Parameter nodes
+    this.body = body;             // Block statement
+    this.doc = null;              // Documentation comment before the declaration
+  }
+}
+
+class Parameter extends ASTNode {
+  constructor(type, name, line, column) {
+    super(line, column);
+    this.type = type; // Data type (sahih, ashar, harf)
+    this.name = name; // Parameter name
+  }
+}
+
+class ReturnStatement extends ASTNode {
+  constructor(value, line, column) {
+    super(line, column);
+    this.value = value; // Expression or null
   }
 }
 
@@ -88,10 +164,39 @@ class UnaryExpression extends ASTNode {
 }
 
 class AssignmentExpression extends ASTNode {
-  constructor(name, value, line, column) {
+  constructor(name, value, line, column, operator = null) {
     super(line, column);
     this.name = name;  // Identifier
     this.value = value; // Expression
+    this.operator = operator; // Token of the arithmetic operator of '+=' and friends, or null for '='
+  }
+}
+
+class IndexAssignmentExpression extends ASTNode {
+  constructor(name, index, value, line, column, operator = null) {
+    super(line, column);
+    this.name = name;   // Array name
+    this.index = index; // Expression
+    this.value = value; // Expression
+    this.operator = operator; // Token of the arithmetic operator of '+=' and friends, or null for '='
+  }
+}
+
+class UpdateExpression extends ASTNode {
+  constructor(operator, target, prefix, line, column) {
+    super(line, column);
+    this.operator = operator; // Token (++ or --)
+    this.target = target;     // VariableExpression or IndexExpression
+    this.prefix = prefix;     // True for '++x', whose value is the updated one
+  }
+}
+
+class ConditionalExpression extends ASTNode {
+  constructor(condition, thenBranch, elseBranch, line, column) {
+    super(line, column);
+    this.condition = condition;   // Expression
+    this.thenBranch = thenBranch; // Value when the condition holds
+    this.elseBranch = elseBranch; // Value otherwise
   }
 }
 
@@ -110,17 +215,52 @@ class LiteralExpression extends ASTNode {
   }
 }
 
+class IndexExpression extends ASTNode {
+  constructor(name, index, line, column) {
+    super(line, column);
+    this.name = name;   // Array name
+    this.index = index; // Expression
+  }
+}
+
+class CallExpression extends ASTNode {
+  constructor(callee, args, line, column) {
+    super(line, column);
+    this.callee = callee;   // Function name
+    this.args = args || []; // Argument expressions
+  }
+}
+
+class CastExpression extends ASTNode {
+  constructor(targetType, expression, line, column) {
+    super(line, column);
+    this.targetType = targetType; // SAHIH, ASHAR or HARF
+    this.expression = expression; // Expression to convert
+  }
+}
+
 class InputExpression extends ASTNode {
-  constructor(variable, line, column) {
+  constructor(variable, index, line, column) {
     super(line, column);
     this.variable = variable; // Variable to store input
+    this.index = index;       // Array index expression, can be null
   }
 }
 
 class OutputExpression extends ASTNode {
-  constructor(expression, line, column) {
+  constructor(values, newline, line, column) {
+    super(line, column);
+    this.values = values;   // OutputValue nodes, printed in order
+    this.newline = newline; // True if a line break follows the values
+  }
+}
+
+class OutputValue extends ASTNode {
+  constructor(expression, width, precision, line, column) {
     super(line, column);
     this.expression = expression; // Expression to output
+    this.width = width;           // Minimum field width, can be null
+    this.precision = precision;   // Digits after the decimal point, can be null
   }
 }
 
@@ -128,6 +268,10 @@ module.exports = {
   ASTNode,
   Program,
   VariableDeclaration,
+  ArrayDeclaration,
+  FunctionDeclaration,
+  Parameter,
+  ReturnStatement,
   ExpressionStatement,
   IfStatement,
   BlockStatement,
@@ -135,9 +279,21 @@ module.exports = {
   BinaryExpression,
   UnaryExpression,
   AssignmentExpression,
+  IndexAssignmentExpression,
+  UpdateExpression,
+  ConditionalExpression,
   VariableExpression,
   LiteralExpression,
+  IndexExpression,
+  CallExpression,
+  CastExpression,
   InputExpression,
   OutputExpression,
-  WhileStatement
+  OutputValue,
+  WhileStatement,
+  DoWhileStatement,
+  SwitchStatement,
+  SwitchCase,
+  BreakStatement,
+  ContinueStatement
 };
\ No newline at end of file
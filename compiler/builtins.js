@@ -0,0 +1,21 @@
+/**
+ * Built-in functions of AkbariLang
+ * Each entry gives the signature checked by the semantic analyzer and the
+ * intermediate operation the call is lowered to
+ */
+const Builtins = {
+  // tool(matn) -> length of the string
+  'tool': {
+    returnType: 'SAHIH',
+    params: ['MATN'],
+    op: 'STRLEN'
+  },
+  // harfe(matn, sahih) -> character at the given position
+  'harfe': {
+    returnType: 'HARF',
+    params: ['MATN', 'SAHIH'],
+    op: 'CHAR_AT'
+  }
+};
+
+module.exports = Builtins;
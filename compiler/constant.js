@@ -0,0 +1,41 @@
+const { quote, stringLiteral } = require("./literals");
+
+/**
+ * A compile-time constant operand of an intermediate instruction
+ * The value is kept as a JavaScript value together with its C++ type, so the
+ * optimizer can compute with it and the generator can write it back out
+ */
+class Constant {
+  /**
+   * @param {number|string|boolean} value The value (a character is a one-letter string)
+   * @param {string} type The C++ type of the value
+   */
+  constructor(value, type) {
+    this.value = value;
+    this.type = type;
+  }
+
+  /**
+   * Write the constant as a C++ literal
+   * @returns {string} The literal
+   */
+  toString() {
+    switch (this.type) {
+      case "int":
+        // 2147483648 alone is no int, so the smallest int is written as a sum
+        return this.value === -2147483648 ? "(-2147483647 - 1)" : String(this.value);
+      case "double":
+      case "float":
+        // A floating-point literal needs a '.' or an exponent
+        return /[.e]/.test(String(this.value)) ? String(this.value) : `${this.value}.0`;
+      case "char":
+        return quote(this.value, "'");
+      case "std::string":
+        return stringLiteral(this.value);
+      default:
+        return typeof this.value === "string" ? stringLiteral(this.value) : String(this.value);
+    }
+  }
+}
+
+module.exports = Constant;
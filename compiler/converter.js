@@ -0,0 +1,92 @@
+const Lexer = require("./lexer");
+const { TokenType, Dialects } = require("./token");
+
+// A token type with no spelling of its own in some dialect is written like
+// the type that means the same there
+const Synonyms = {
+  [TokenType.VALI]: TokenType.VAGARNA,
+};
+
+/**
+ * Dialect converter
+ * Rewrites the keywords of a program from one dialect into another, keeping
+ * everything between them (names, literals, comments and layout) as it is
+ */
+class DialectConverter {
+  /**
+   * @param {string} targetDialect The name of the dialect to convert into
+   */
+  constructor(targetDialect) {
+    if (!Object.prototype.hasOwnProperty.call(Dialects, targetDialect)) {
+      throw new Error(
+        `Unknown dialect '${targetDialect}'; expected one of ${Object.keys(Dialects).join(", ")}`
+      );
+    }
+    this.targetDialect = targetDialect;
+    this.targetKeywords = Dialects[targetDialect];
+
+    // The first spelling of each keyword in the target dialect is the one written
+    this.spellings = new Map();
+    for (const [word, type] of Object.entries(this.targetKeywords)) {
+      if (!this.spellings.has(type)) {
+        this.spellings.set(type, word);
+      }
+    }
+  }
+
+  /**
+   * Convert a program
+   * @param {string} source The source code
+   * @param {Object} options Lexer options, such as the dialect of a source without a pragma
+   * @returns {string} The source code in the target dialect
+   */
+  convert(source, options = {}) {
+    const lexer = new Lexer(source, options);
+    const tokens = lexer.tokenize();
+
+    // Token positions are byte offsets, so the source is cut up as bytes
+    const bytes = Buffer.from(source, "utf8");
+    const parts = [];
+    let copied = 0;
+    const replace = (range, text) => {
+      parts.push(bytes.subarray(copied, range.offset).toString("utf8"), text);
+      copied = range.endOffset;
+    };
+
+    // The converted file names its dialect, replacing any pragma it had
+    const pragma = `# dialect: ${this.targetDialect}`;
+    if (lexer.pragmaRange) {
+      replace(lexer.pragmaRange, pragma);
+    } else {
+      parts.push(`${pragma}\n`);
+    }
+
+    for (const token of tokens) {
+      if (token.type === TokenType.IDENTIFIER &&
+          Object.prototype.hasOwnProperty.call(this.targetKeywords, token.value)) {
+        throw new Error(
+          `Name '${token.value}' at line ${token.line}, column ${token.column} is a keyword in dialect '${this.targetDialect}'; rename it before converting`
+        );
+      }
+
+      // Only keywords written as words are rewritten; '!' stays '!'
+      if (lexer.keywords[token.value] === token.type) {
+        replace(token, this.spelling(token.type));
+      }
+    }
+    parts.push(bytes.subarray(copied).toString("utf8"));
+
+    return parts.join("");
+  }
+
+  /**
+   * Get the target dialect's spelling of a keyword
+   * @param {string} type The keyword's token type
+   * @returns {string} The keyword in the target dialect
+   */
+  spelling(type) {
+    return this.spellings.get(type) || this.spellings.get(Synonyms[type]);
+  }
+}
+
+module.exports = DialectConverter;
@@ -1,3 +1,5 @@
+const Constant = require("./constant");
+
 /**
  * C++ code generator
  * Converts intermediate code to C++ code
@@ -7,59 +9,132 @@ class CodeGenerator {
     this.code = [];
     this.indentLevel = 0;
     this.tempVars = new Map(); // Maps temp vars to their types
-    this.variables = new Set(); // Tracks all variables
+    this.variables = new Map(); // Maps program variables to their types
+    this.paramTypes = new Map(); // Maps parameters of the current function to their types
+    this.arrays = new Map(); // Maps array names to their element types
+    this.functionTypes = new Map(); // Maps function names to their return types
   }
 
   generate(instructions) {
-    // First pass: analyze types and collect variables
-    // Collect all temp variables (tN) as destinations in any instruction that produces a value
+    // Names written in Persian script become valid C++ names
+    instructions = instructions.map((instr) => ({
+      ...instr,
+      args: instr.args.map((arg) => this.cppName(arg)),
+    }));
+
+    // Split the instructions into function bodies and the main body
+    const functions = [];
+    const mainInstructions = [];
+    let currentFunction = null;
     for (const instr of instructions) {
-      // If the instruction has a destination variable (first arg) and it matches tN
-      if (instr.args && instr.args.length > 0 && /^t\d+$/.test(instr.args[0])) {
-        // Determine type: string, double, or int
-        let type = "int";
-        if (instr.op === "LOAD") {
-          const value = instr.args[1];
-          if (typeof value === "string" && value.startsWith('"')) {
-            type = "std::string";
-          } else if (typeof value === "string" && value.includes(".")) {
-            type = "double";
-          } else {
-            type = "int";
-          }
-        } else if (["ADD","SUB","MUL","DIV","EQ","NEQ","LT","GT","LE","GE","AND","OR","NEG"].includes(instr.op)) {
-          type = "int";
-        }
-        // Only set if not already set (prefer string/double over int if already set)
-        if (!this.tempVars.has(instr.args[0]) || type !== "int") {
-          this.tempVars.set(instr.args[0], type);
-        }
-      }
-      // Handle program variables
-      if (instr.op === "DECLARE" || instr.op === "DECLARE_INIT") {
-        this.variables.add(instr.args[1]);
-      } else if (instr.op === "INPUT") {
-        this.variables.add(instr.args[0]);
+      if (instr.op === "FUNC_BEGIN") {
+        currentFunction = {
+          returnType: instr.args[0],
+          name: instr.args[1],
+          params: [],
+          body: [],
+        };
+        functions.push(currentFunction);
+        this.functionTypes.set(currentFunction.name, currentFunction.returnType);
+      } else if (instr.op === "FUNC_END") {
+        currentFunction = null;
+      } else if (currentFunction && instr.op === "PARAM") {
+        currentFunction.params.push({ type: instr.args[0], name: instr.args[1] });
+      } else if (currentFunction) {
+        currentFunction.body.push(instr);
+      } else {
+        mainInstructions.push(instr);
       }
     }
 
-    // Generate includes
+    // Generate includes; widths and precisions need the stream manipulators
+    const formatted = instructions.some(
+      (instr) =>
+        instr.op === "OUTPUT" &&
+        instr.format.values.some((value) => value.width !== null || value.precision !== null)
+    );
+    if (formatted) {
+      this.addCode("#include <iomanip>");
+    }
     this.addCode("#include <iostream>");
     this.addCode("#include <string>");
     this.addCode("");
 
+    if (functions.length > 0) {
+      // Prototypes first so functions can call each other in any order
+      for (const fn of functions) {
+        this.addCode(`${this.functionSignature(fn)};`);
+      }
+      this.addCode("");
+
+      for (const fn of functions) {
+        this.addCode(`${this.functionSignature(fn)} {`);
+        this.indentLevel++;
+        this.generateBody(fn.body, fn.params);
+        this.indentLevel--;
+        this.addCode("}");
+        this.addCode("");
+      }
+    }
+
     // Begin main function
     this.addCode("int main() {");
     this.indentLevel++;
 
-    // Declare all variables first
-    if (this.tempVars.size > 0 || this.variables.size > 0) {
-      this.addCode("// Declare variables");
-      // First declare program variables
-      for (const variable of this.variables) {
-        this.addCode(`int ${variable};`); // Assuming all program variables are int for now
+    this.generateBody(mainInstructions);
+
+    // End main function
+    this.addCode("return 0;");
+    this.indentLevel--;
+    this.addCode("}");
+
+    return this.code.join("\n");
+  }
+
+  /**
+   * Build the C++ signature of a function
+   * @param {{returnType: string, name: string, params: {type: string, name: string}[]}} fn The function
+   * @returns {string} The function signature
+   */
+  functionSignature(fn) {
+    const params = fn.params.map((param) => `${param.type} ${param.name}`);
+    return `${fn.returnType} ${fn.name}(${params.join(", ")})`;
+  }
+
+  /**
+   * Generate the declarations and statements of a function body
+   * @param {IntermediateInstruction[]} instructions The body instructions
+   * @param {{type: string, name: string}[]} params Parameters, which must not be redeclared
+   */
+  generateBody(instructions, params = []) {
+    this.tempVars = new Map();
+    this.variables = new Map();
+    this.arrays = new Map();
+    this.paramTypes = new Map(params.map((param) => [param.name, param.type]));
+
+    // First pass: collect the types of variables and temps
+    for (const instr of instructions) {
+      // Program variables and arrays are declared where they are written
+      if (instr.op === "DECLARE" || instr.op === "DECLARE_INIT" || instr.op === "DECLARE_CONST") {
+        this.variables.set(instr.args[1], instr.args[0]);
+      } else if (instr.op === "DECLARE_ARRAY") {
+        this.arrays.set(instr.args[1], instr.args[0]);
       }
-      // Then declare temporary variables
+
+      // Temps (tN) are destinations of instructions that produce a value
+      if (instr.args && instr.args.length > 0 && /^t\d+$/.test(instr.args[0])) {
+        // Prefer the type resolved by the semantic analyzer, otherwise infer it
+        const type = instr.type || this.inferTempType(instr);
+        // Only set if not already set (prefer string/double/bool over int if already set)
+        if (!this.tempVars.has(instr.args[0]) || type !== "int") {
+          this.tempVars.set(instr.args[0], type);
+        }
+      }
+    }
+
+    // Temps are declared up front so jumps never cross their declarations
+    if (this.tempVars.size > 0) {
+      this.addCode("// Declare temporaries");
       for (const [name, type] of this.tempVars) {
         this.addCode(`${type} ${name};`);
       }
@@ -70,13 +145,75 @@ class CodeGenerator {
     for (const instr of instructions) {
       this.processInstruction(instr);
     }
+  }
 
-    // End main function
-    this.addCode("return 0;");
-    this.indentLevel--;
-    this.addCode("}");
+  /**
+   * Mangle a name containing non-ASCII letters into a valid C++ name
+   * @param {*} arg An instruction argument
+   * @returns {*} The argument, with any name escaped or mangled
+   */
+  cppName(arg) {
+    // Literals are quoted or numeric
+    if (typeof arg !== "string" || /^["'\d-]/.test(arg)) {
+      return arg;
+    }
+    // '_u' and four hex digits encode a non-ASCII letter, so a '_u' of the
+    // name itself is written '_u_' and no two names can end up the same
+    const escaped = arg.replace(/_u/g, "_u_");
+    if (!/[^\x00-\x7f]/.test(arg)) {
+      return escaped;
+    }
+    const mangled = escaped.replace(
+      /[^\x00-\x7f]/g,
+      (c) => `_u${c.charCodeAt(0).toString(16).padStart(4, "0")}`
+    );
+    return `fa${mangled}`;
+  }
 
-    return this.code.join("\n");
+  /**
+   * Infer the C++ type of a temp from the instruction that produces it
+   * @param {IntermediateInstruction} instr The instruction
+   * @returns {string} The C++ type
+   */
+  inferTempType(instr) {
+    if (instr.op === "LOAD") {
+      return this.typeOf(instr.args[1]) || "int";
+    } else if (instr.op === "CALL") {
+      return this.functionTypes.get(instr.args[1]) || "int";
+    } else if (instr.op === "LOAD_INDEXED") {
+      return this.arrays.get(instr.args[1]) || "int";
+    } else if (instr.op === "CHAR_AT") {
+      return "char";
+    } else if (["EQ","NEQ","LT","GT","LE","GE","AND","OR","NOT"].includes(instr.op)) {
+      return "bool";
+    } else if (["ADD","SUB","MUL","DIV","MOD","NEG"].includes(instr.op)) {
+      const operandTypes = instr.args.slice(1).map((arg) => this.typeOf(arg));
+      // Adding to a string concatenates
+      if (instr.op === "ADD" && operandTypes.includes("std::string")) {
+        return "std::string";
+      }
+      // Arithmetic on a floating-point operand stays floating-point
+      if (operandTypes.some((type) => type === "double" || type === "float")) {
+        return "double";
+      }
+    }
+    return "int";
+  }
+
+  /**
+   * Look up the C++ type of a constant, or of a variable, parameter or temp in the current body
+   * @param {Constant|string} place The constant, or the variable, parameter or temp name
+   * @returns {string|undefined} The C++ type, if known
+   */
+  typeOf(place) {
+    if (place instanceof Constant) {
+      return place.type;
+    }
+    return (
+      this.tempVars.get(place) ||
+      this.variables.get(place) ||
+      this.paramTypes.get(place)
+    );
   }
 
   /**
@@ -91,9 +228,26 @@ class CodeGenerator {
       case "DECLARE_INIT":
         this.generateDeclareInit(instr.args[0], instr.args[1], instr.args[2]);
         break;
+      case "DECLARE_CONST":
+        this.generateDeclareInit(`const ${instr.args[0]}`, instr.args[1], instr.args[2]);
+        break;
+      case "DECLARE_ARRAY":
+        this.generateDeclareArray(
+          instr.args[0],
+          instr.args[1],
+          instr.args[2],
+          instr.args.slice(3)
+        );
+        break;
       case "ASSIGN":
         this.generateAssign(instr.args[0], instr.args[1]);
         break;
+      case "LOAD_INDEXED":
+        this.generateLoadIndexed(instr.args[0], instr.args[1], instr.args[2]);
+        break;
+      case "STORE_INDEXED":
+        this.generateStoreIndexed(instr.args[0], instr.args[1], instr.args[2]);
+        break;
       case "LOAD":
         this.generateLoad(instr.args[0], instr.args[1]);
         break;
@@ -109,6 +263,24 @@ class CodeGenerator {
       case "DIV":
         this.generateBinaryOp(instr.args[0], instr.args[1], instr.args[2], "/");
         break;
+      case "MOD":
+        this.generateBinaryOp(instr.args[0], instr.args[1], instr.args[2], "%");
+        break;
+      case "BIT_AND":
+        this.generateBinaryOp(instr.args[0], instr.args[1], instr.args[2], "&");
+        break;
+      case "BIT_OR":
+        this.generateBinaryOp(instr.args[0], instr.args[1], instr.args[2], "|");
+        break;
+      case "BIT_XOR":
+        this.generateBinaryOp(instr.args[0], instr.args[1], instr.args[2], "^");
+        break;
+      case "SHL":
+        this.generateBinaryOp(instr.args[0], instr.args[1], instr.args[2], "<<");
+        break;
+      case "SHR":
+        this.generateBinaryOp(instr.args[0], instr.args[1], instr.args[2], ">>");
+        break;
       case "EQ":
         this.generateBinaryOp(
           instr.args[0],
@@ -166,41 +338,66 @@ class CodeGenerator {
       case "NEG":
         this.generateUnaryOp(instr.args[0], instr.args[1], "-");
         break;
+      case "NOT":
+        this.generateUnaryOp(instr.args[0], instr.args[1], "!");
+        break;
+      case "BIT_NOT":
+        this.generateUnaryOp(instr.args[0], instr.args[1], "~");
+        break;
+      case "CAST":
+        this.addCode(`${instr.args[0]} = static_cast<${instr.type}>(${instr.args[1]});`);
+        break;
       case "INPUT":
         this.generateInput(instr.args[0]);
         break;
+      case "INPUT_INDEXED":
+        this.generateInput(`${instr.args[0]}[${instr.args[1]}]`);
+        break;
       case "OUTPUT":
-        this.generateOutput(instr.args[0]);
+        this.generateOutput(instr.args, instr.format);
         break;
-      case "FOR_BEGIN":
-        this.generateForBegin(instr.args[0], instr.args[1], instr.args[2]);
+      case "STRLEN":
+        this.addCode(`${instr.args[0]} = ${instr.args[1]}.length();`);
         break;
-      case "FOR_END":
-        this.generateForEnd();
+      case "CHAR_AT":
+        this.addCode(`${instr.args[0]} = ${instr.args[1]}.at(${instr.args[2]});`);
+        break;
+      case "CALL":
+        this.generateCall(instr.args[0], instr.args[1], instr.args.slice(2));
+        break;
+      case "CALL_VOID":
+        this.generateCall(null, instr.args[0], instr.args.slice(1));
+        break;
+      case "RETURN":
+        this.generateReturn(instr.args[0]);
         break;
       case "JUMP_IF_FALSE":
         this.generateJumpIfFalse(instr.args[0], instr.args[1]);
         break;
-      case "SCOPE_BEGIN":
-        this.generateScopeBegin();
+      case "SWITCH_BEGIN":
+        this.addCode(`switch (${instr.args[0]}) {`);
+        this.indentLevel++;
         break;
-      case "SCOPE_END":
-        this.generateScopeEnd();
+      // As with labels, the empty statement keeps an empty last branch valid C++
+      case "CASE":
+        this.addCode(`case ${instr.args[0]}:;`);
         break;
-      case "FOR_LOOP_START": {
-        const [init, cond, incr] = instr.args;
-        this.addCode(`for (${init}; ${cond}; ${incr}) {`);
-        this.indentLevel++;
+      case "DEFAULT":
+        this.addCode("default:;");
         break;
-      }
-      
-      case "FOR_LOOP_END": {
+      case "SWITCH_END":
         this.indentLevel--;
         this.addCode("}");
         break;
-      }
+      case "SCOPE_BEGIN":
+        this.generateScopeBegin();
+        break;
+      case "SCOPE_END":
+        this.generateScopeEnd();
+        break;
       case "LABEL":
-        this.addCode(`${instr.args[0]}:`);
+        // The empty statement keeps a label at the end of a body valid C++
+        this.addCode(`${instr.args[0]}:;`);
         break;
       case "JUMP_IF_FALSE":
         this.addCode(`if (!(${instr.args[0]})) goto ${instr.args[1]};`);
@@ -212,17 +409,30 @@ class CodeGenerator {
   }
 
   generateDeclare(type, name) {
-    // Skip declaration as we've already declared all variables at the start
+    this.addCode(`${type} ${name};`);
   }
 
   generateDeclareInit(type, name, value) {
-    this.addCode(`${name} = ${value};`);
+    this.addCode(`${type} ${name} = ${value};`);
+  }
+
+  generateDeclareArray(type, name, size, elements) {
+    // Elements without an initializer are zeroed
+    this.addCode(`${type} ${name}[${size}] = {${elements.join(", ")}};`);
   }
 
   generateAssign(name, value) {
     this.addCode(`${name} = ${value};`);
   }
 
+  generateLoadIndexed(dest, name, index) {
+    this.addCode(`${dest} = ${name}[${index}];`);
+  }
+
+  generateStoreIndexed(name, index, value) {
+    this.addCode(`${name}[${index}] = ${value};`);
+  }
+
   generateLoad(dest, value) {
     this.addCode(`${dest} = ${value};`);
   }
@@ -239,18 +449,34 @@ class CodeGenerator {
     this.addCode(`std::cin >> ${variable};`);
   }
 
-  generateOutput(value) {
-    this.addCode(`std::cout << ${value} << std::endl;`);
+  generateOutput(values, format) {
+    const parts = values.map((value, i) => {
+      const { width, precision } = format.values[i];
+      let part = `${value}`;
+      if (precision !== null) {
+        // Fixed notation lasts until reset, so the default is restored after the value
+        part = `std::fixed << std::setprecision(${precision}) << ${value} << std::defaultfloat << std::setprecision(6)`;
+      }
+      if (width !== null) {
+        part = `std::setw(${width}) << ${part}`;
+      }
+      return part;
+    });
+    if (format.newline) {
+      parts.push("std::endl");
+    }
+    if (parts.length > 0) {
+      this.addCode(`std::cout << ${parts.join(" << ")};`);
+    }
   }
 
-  generateForBegin(init, condition, increment) {
-    this.addCode(`for (${init}; ${condition}; ${increment}) {`);
-    this.indentLevel++;
+  generateCall(dest, name, args) {
+    const call = `${name}(${args.join(", ")})`;
+    this.addCode(dest ? `${dest} = ${call};` : `${call};`);
   }
 
-  generateForEnd() {
-    this.indentLevel--;
-    this.addCode("}");
+  generateReturn(value) {
+    this.addCode(value !== undefined ? `return ${value};` : "return;");
   }
 
   generateJumpIfFalse(condition, label) {
@@ -267,23 +493,6 @@ class CodeGenerator {
     this.addCode("}");
   }
 
-  // Remove these methods as they're not being used correctly
-  generateForLoopStart() {
-      return "for (";
-  }
-  
-  generateForLoopCondition(condition) {
-      return `${condition}; `;
-  }
-  
-  generateForLoopIncrement(increment) {
-      return `${increment}) `;
-  }
-  
-  generateForLoopEnd() {
-      return "}";
-  }
-
   addCode(line, position = undefined) {
     const indentedLine = "  ".repeat(this.indentLevel) + line;
 
@@ -1,11 +1,16 @@
+const Builtins = require("./builtins");
+const Constant = require("./constant");
+
 /**
  * Intermediate code representation for AkbariLang
  * This provides a simpler structure for optimization and code generation
  */
 class IntermediateInstruction {
-  constructor(op, args = []) {
+  constructor(op, args = [], type = null, format = null) {
     this.op = op; // Operation code
     this.args = args; // Arguments for the operation
+    this.type = type; // C++ type of the result, for instructions that produce one
+    this.format = format; // How OUTPUT prints its arguments
   }
 }
 
@@ -18,6 +23,8 @@ class IntermediateGenerator {
     this.instructions = [];
     this.labelCount = 0;
     this.tempCount = 0;
+    this.loopLabels = []; // Break and continue targets of the enclosing loops
+    this.functions = new Map(); // Maps function names to their return types
   }
 
   /**
@@ -41,12 +48,26 @@ class IntermediateGenerator {
     );
     this.instructions.push(new IntermediateInstruction("INCLUDE", ["string"]));
 
+    const functions = program.statements.filter(
+      (statement) => statement.constructor.name === "FunctionDeclaration"
+    );
+    functions.forEach((declaration) => {
+      this.functions.set(declaration.name, declaration.returnType);
+    });
+
+    // Function definitions come before main
+    functions.forEach((declaration) => {
+      this.visitFunctionDeclaration(declaration);
+    });
+
     // Begin main function
     this.instructions.push(new IntermediateInstruction("MAIN_BEGIN"));
 
-    // Process all statements
+    // Process all remaining statements
     program.statements.forEach((statement) => {
-      this.visitStatement(statement);
+      if (statement.constructor.name !== "FunctionDeclaration") {
+        this.visitStatement(statement);
+      }
     });
 
     // End main function
@@ -60,6 +81,10 @@ class IntermediateGenerator {
   visitStatement(statement) {
     if (statement.constructor.name === "VariableDeclaration") {
       this.visitVariableDeclaration(statement);
+    } else if (statement.constructor.name === "ArrayDeclaration") {
+      this.visitArrayDeclaration(statement);
+    } else if (statement.constructor.name === "ReturnStatement") {
+      this.visitReturnStatement(statement);
     } else if (statement.constructor.name === "ExpressionStatement") {
       this.visitExpressionStatement(statement);
     } else if (statement.constructor.name === "IfStatement") {
@@ -70,6 +95,14 @@ class IntermediateGenerator {
       this.visitForStatement(statement);
     } else if (statement.constructor.name === "WhileStatement") {
       this.visitWhileStatement(statement);
+    } else if (statement.constructor.name === "DoWhileStatement") {
+      this.visitDoWhileStatement(statement);
+    } else if (statement.constructor.name === "SwitchStatement") {
+      this.visitSwitchStatement(statement);
+    } else if (statement.constructor.name === "BreakStatement") {
+      this.visitBreakStatement(statement);
+    } else if (statement.constructor.name === "ContinueStatement") {
+      this.visitContinueStatement(statement);
     }
   }
 
@@ -78,23 +111,7 @@ class IntermediateGenerator {
    * @param {VariableDeclaration} declaration The VariableDeclaration node
    */
   visitVariableDeclaration(declaration) {
-    let cppType;
-
-    // Map AkbariLang types to C++ types
-    switch (declaration.type) {
-      case "SAHIH":
-        cppType = "int";
-        break;
-      case "ASHAR":
-        cppType = "float";
-        break;
-      case "HARF":
-        cppType = "char";
-        break;
-      default:
-        cppType = "auto";
-        break;
-    }
+    const cppType = this.toCppType(declaration.type);
 
     // Declaration without initialization
     if (!declaration.initializer) {
@@ -107,7 +124,7 @@ class IntermediateGenerator {
     // Declaration with initialization
     const valuePlace = this.visitExpression(declaration.initializer);
     this.instructions.push(
-      new IntermediateInstruction("DECLARE_INIT", [
+      new IntermediateInstruction(declaration.constant ? "DECLARE_CONST" : "DECLARE_INIT", [
         cppType,
         declaration.name,
         valuePlace,
@@ -115,6 +132,70 @@ class IntermediateGenerator {
     );
   }
 
+  /**
+   * Visit an ArrayDeclaration node
+   * @param {ArrayDeclaration} declaration The ArrayDeclaration node
+   */
+  visitArrayDeclaration(declaration) {
+    const elementPlaces = (declaration.elements || []).map((element) =>
+      this.visitExpression(element)
+    );
+
+    this.instructions.push(
+      new IntermediateInstruction("DECLARE_ARRAY", [
+        this.toCppType(declaration.type),
+        declaration.name,
+        declaration.size.toString(),
+        ...elementPlaces,
+      ])
+    );
+  }
+
+  /**
+   * Visit a FunctionDeclaration node
+   * @param {FunctionDeclaration} declaration The FunctionDeclaration node
+   */
+  visitFunctionDeclaration(declaration) {
+    this.instructions.push(
+      new IntermediateInstruction("FUNC_BEGIN", [
+        this.toCppType(declaration.returnType),
+        declaration.name,
+      ])
+    );
+
+    declaration.params.forEach((param) => {
+      this.instructions.push(
+        new IntermediateInstruction("PARAM", [
+          this.toCppType(param.type),
+          param.name,
+        ])
+      );
+    });
+
+    // The function body becomes the C++ function body, so no extra scope
+    declaration.body.statements.forEach((statement) =>
+      this.visitStatement(statement)
+    );
+
+    this.instructions.push(new IntermediateInstruction("FUNC_END"));
+  }
+
+  /**
+   * Visit a ReturnStatement node
+   * @param {ReturnStatement} statement The ReturnStatement node
+   */
+  visitReturnStatement(statement) {
+    if (!statement.value) {
+      this.instructions.push(new IntermediateInstruction("RETURN"));
+      return;
+    }
+
+    const valuePlace = this.visitExpression(statement.value);
+    this.instructions.push(
+      new IntermediateInstruction("RETURN", [valuePlace])
+    );
+  }
+
   /**
    * Visit an ExpressionStatement node
    * @param {ExpressionStatement} statement The ExpressionStatement node
@@ -128,22 +209,24 @@ class IntermediateGenerator {
    * @param {IfStatement} statement The IfStatement node
    */
   visitIfStatement(statement) {
-    // Generate condition code
+    // A false condition skips to the else branch, or past the statement if there is none
+    const elseLabel = `L${this.labelCount++}`;
     const conditionPlace = this.visitExpression(statement.condition);
-
-    this.instructions.push(
-      new IntermediateInstruction("IF_BEGIN", [conditionPlace])
-    );
+    this.instructions.push(new IntermediateInstruction("JUMP_IF_FALSE", [conditionPlace, elseLabel]));
 
     // Generate then branch code
-    this.visitStatement(statement.thenBranch);
+    this.visitBody(statement.thenBranch);
 
     if (statement.elseBranch) {
-      this.instructions.push(new IntermediateInstruction("ELSE"));
-      this.visitStatement(statement.elseBranch);
+      // The then branch jumps over the else branch; a 'vali age' chain nests here
+      const endLabel = `L${this.labelCount++}`;
+      this.instructions.push(new IntermediateInstruction("JUMP", [endLabel]));
+      this.instructions.push(new IntermediateInstruction("LABEL", [elseLabel]));
+      this.visitBody(statement.elseBranch);
+      this.instructions.push(new IntermediateInstruction("LABEL", [endLabel]));
+    } else {
+      this.instructions.push(new IntermediateInstruction("LABEL", [elseLabel]));
     }
-
-    this.instructions.push(new IntermediateInstruction("IF_END"));
   }
 
   /**
@@ -174,7 +257,28 @@ class IntermediateGenerator {
     this.instructions.push(new IntermediateInstruction("LABEL", [startLabel]));
     const conditionPlace = this.visitExpression(statement.condition);
     this.instructions.push(new IntermediateInstruction("JUMP_IF_FALSE", [conditionPlace, endLabel]));
-    this.visitStatement(statement.body);
+    this.loopLabels.push({ breakLabel: endLabel, continueLabel: startLabel });
+    this.visitBody(statement.body);
+    this.loopLabels.pop();
+    this.instructions.push(new IntermediateInstruction("JUMP", [startLabel]));
+    this.instructions.push(new IntermediateInstruction("LABEL", [endLabel]));
+  }
+
+  /**
+   * Visit a DoWhileStatement node
+   * @param {DoWhileStatement} statement The DoWhileStatement node
+   */
+  visitDoWhileStatement(statement) {
+    const startLabel = `L${this.labelCount++}`;
+    const conditionLabel = `L${this.labelCount++}`;
+    const endLabel = `L${this.labelCount++}`;
+    this.instructions.push(new IntermediateInstruction("LABEL", [startLabel]));
+    this.loopLabels.push({ breakLabel: endLabel, continueLabel: conditionLabel });
+    this.visitBody(statement.body);
+    this.loopLabels.pop();
+    this.instructions.push(new IntermediateInstruction("LABEL", [conditionLabel]));
+    const conditionPlace = this.visitExpression(statement.condition);
+    this.instructions.push(new IntermediateInstruction("JUMP_IF_FALSE", [conditionPlace, endLabel]));
     this.instructions.push(new IntermediateInstruction("JUMP", [startLabel]));
     this.instructions.push(new IntermediateInstruction("LABEL", [endLabel]));
   }
@@ -184,24 +288,119 @@ class IntermediateGenerator {
    * @param {ForStatement} statement The ForStatement node
    */
   visitForStatement(statement) {
-    const init = "int i = 1";
-    const condition = "i <= n";
-    const increment = "i = i + 1";
+    const startLabel = `L${this.labelCount++}`;
+    const continueLabel = `L${this.labelCount++}`;
+    const endLabel = `L${this.labelCount++}`;
 
-    this.instructions.push(
-      new IntermediateInstruction("FOR_LOOP_START", [init, condition, increment])
-    );
+    // A loop variable declared in the initializer is scoped to the loop
+    const declaresVariable = statement.initializer.constructor.name === "VariableDeclaration";
+    if (declaresVariable) {
+      this.instructions.push(new IntermediateInstruction("SCOPE_BEGIN"));
+    }
 
-    // Visit the body statement directly without creating an extra scope
-    if (statement.body.constructor.name === "BlockStatement") {
-      // For block statements, visit each statement directly
-      statement.body.statements.forEach(stmt => this.visitStatement(stmt));
-    } else {
-      // For single statements
-      this.visitStatement(statement.body);
+    this.visitStatement(statement.initializer);
+    this.instructions.push(new IntermediateInstruction("LABEL", [startLabel]));
+    const conditionPlace = this.visitExpression(statement.condition);
+    this.instructions.push(new IntermediateInstruction("JUMP_IF_FALSE", [conditionPlace, endLabel]));
+    this.loopLabels.push({ breakLabel: endLabel, continueLabel });
+    this.visitBody(statement.body);
+    this.loopLabels.pop();
+
+    // 'edame' still runs the increment
+    this.instructions.push(new IntermediateInstruction("LABEL", [continueLabel]));
+    this.visitExpression(statement.increment);
+    this.instructions.push(new IntermediateInstruction("JUMP", [startLabel]));
+    this.instructions.push(new IntermediateInstruction("LABEL", [endLabel]));
+
+    if (declaresVariable) {
+      this.instructions.push(new IntermediateInstruction("SCOPE_END"));
+    }
+  }
+
+  /**
+   * Visit a SwitchStatement node
+   * @param {SwitchStatement} statement The SwitchStatement node
+   */
+  visitSwitchStatement(statement) {
+    const valuePlace = this.visitExpression(statement.discriminant);
+    const endLabel = `L${this.labelCount++}`;
+
+    // 'shekast' leaves the switch, 'edame' still continues the enclosing loop
+    const enclosing = this.loopLabels[this.loopLabels.length - 1];
+    this.loopLabels.push({
+      breakLabel: endLabel,
+      continueLabel: enclosing ? enclosing.continueLabel : null
+    });
+
+    this.instructions.push(new IntermediateInstruction("SWITCH_BEGIN", [valuePlace]));
+    statement.cases.forEach(switchCase => {
+      if (switchCase.test === null) {
+        this.instructions.push(new IntermediateInstruction("DEFAULT"));
+      } else {
+        this.instructions.push(
+          new IntermediateInstruction("CASE", [this.caseLabel(switchCase)])
+        );
+      }
+
+      // Each branch gets its own scope so declarations never cross a case label
+      this.instructions.push(new IntermediateInstruction("SCOPE_BEGIN"));
+      switchCase.body.forEach(subStatement => {
+        this.visitStatement(subStatement);
+      });
+      this.instructions.push(new IntermediateInstruction("SCOPE_END"));
+    });
+    this.instructions.push(new IntermediateInstruction("SWITCH_END"));
+
+    this.loopLabels.pop();
+    this.instructions.push(new IntermediateInstruction("LABEL", [endLabel]));
+  }
+
+  /**
+   * Get the constant of a case label
+   * @param {SwitchCase} switchCase The case whose label to print
+   * @returns {Constant} The label value
+   */
+  caseLabel(switchCase) {
+    const test = switchCase.test;
+    if (test.constructor.name === "LiteralExpression" && test.type === "CHARACTER") {
+      return new Constant(test.value, "char");
     }
+    // Any other label was evaluated by the semantic analyzer; characters by code
+    return new Constant(switchCase.value, "int");
+  }
+
+  /**
+   * Visit a BreakStatement node
+   * @param {BreakStatement} statement The BreakStatement node
+   */
+  visitBreakStatement(statement) {
+    const loop = this.loopLabels[this.loopLabels.length - 1];
+    this.instructions.push(new IntermediateInstruction("JUMP", [loop.breakLabel]));
+  }
 
-    this.instructions.push(new IntermediateInstruction("FOR_LOOP_END"));
+  /**
+   * Visit a ContinueStatement node
+   * @param {ContinueStatement} statement The ContinueStatement node
+   */
+  visitContinueStatement(statement) {
+    const loop = this.loopLabels[this.loopLabels.length - 1];
+    this.instructions.push(new IntermediateInstruction("JUMP", [loop.continueLabel]));
+  }
+
+  /**
+   * Visit the body of a conditional or loop in its own scope, so that a
+   * declaration used as the whole body is never jumped over
+   * @param {ASTNode} statement The body statement
+   */
+  visitBody(statement) {
+    if (statement.constructor.name === "BlockStatement") {
+      this.visitStatement(statement);
+      return;
+    }
+
+    this.instructions.push(new IntermediateInstruction("SCOPE_BEGIN"));
+    this.visitStatement(statement);
+    this.instructions.push(new IntermediateInstruction("SCOPE_END"));
   }
 
   // Add these new methods to handle the jump instructions
@@ -234,10 +433,22 @@ class IntermediateGenerator {
       return this.visitUnaryExpression(expression);
     } else if (expression.constructor.name === "AssignmentExpression") {
       return this.visitAssignmentExpression(expression);
+    } else if (expression.constructor.name === "IndexAssignmentExpression") {
+      return this.visitIndexAssignmentExpression(expression);
+    } else if (expression.constructor.name === "UpdateExpression") {
+      return this.visitUpdateExpression(expression);
+    } else if (expression.constructor.name === "ConditionalExpression") {
+      return this.visitConditionalExpression(expression);
     } else if (expression.constructor.name === "VariableExpression") {
       return this.visitVariableExpression(expression);
+    } else if (expression.constructor.name === "IndexExpression") {
+      return this.visitIndexExpression(expression);
     } else if (expression.constructor.name === "LiteralExpression") {
       return this.visitLiteralExpression(expression);
+    } else if (expression.constructor.name === "CallExpression") {
+      return this.visitCallExpression(expression);
+    } else if (expression.constructor.name === "CastExpression") {
+      return this.visitCastExpression(expression);
     } else if (expression.constructor.name === "InputExpression") {
       return this.visitInputExpression(expression);
     } else if (expression.constructor.name === "OutputExpression") {
@@ -254,12 +465,117 @@ class IntermediateGenerator {
    * @returns {string} The place where the result is stored
    */
   visitBinaryExpression(expression) {
+    if (expression.operator.type === "VA" || expression.operator.type === "YA") {
+      return this.visitLogicalExpression(expression);
+    }
+
+    const [leftPlace, rightPlace] = this.visitOperands([expression.left, expression.right]);
+    const resultPlace = this.generateTemp();
+
+    this.instructions.push(
+      new IntermediateInstruction(
+        this.getBinaryOp(expression.operator.type),
+        [resultPlace, leftPlace, rightPlace],
+        this.toCppType(expression.resolvedType)
+      )
+    );
+
+    return resultPlace;
+  }
+
+  /**
+   * Visit operands from left to right. An operand that leaves its value in a
+   * variable is copied to a temporary when a later operand may change that
+   * variable, so it keeps the value it had when it was evaluated
+   * @param {Object[]} operands The operand expressions, in order
+   * @returns {string[]} The places holding their values
+   */
+  visitOperands(operands) {
+    return operands.map((operand, index) => {
+      const place = this.visitExpression(operand);
+      if (
+        typeof place !== "string" ||
+        /^t\d+$/.test(place) ||
+        !operands.slice(index + 1).some((later) => this.changesVariables(later))
+      ) {
+        return place;
+      }
+
+      const copyPlace = this.generateTemp();
+      const cppType = this.toCppType(operand.resolvedType);
+      this.instructions.push(new IntermediateInstruction("LOAD", [copyPlace, place], cppType));
+      return copyPlace;
+    });
+  }
+
+  /**
+   * Check whether evaluating an expression may change a variable
+   * @param {Object} expression The expression node
+   * @returns {boolean} True if it assigns, updates, reads input or calls a function
+   */
+  changesVariables(expression) {
+    switch (expression.constructor.name) {
+      case "AssignmentExpression":
+      case "IndexAssignmentExpression":
+      case "UpdateExpression":
+      case "InputExpression":
+      case "CallExpression":
+        return true;
+      case "BinaryExpression":
+        return this.changesVariables(expression.left) || this.changesVariables(expression.right);
+      case "UnaryExpression":
+        return this.changesVariables(expression.right);
+      case "ConditionalExpression":
+        return (
+          this.changesVariables(expression.condition) ||
+          this.changesVariables(expression.thenBranch) ||
+          this.changesVariables(expression.elseBranch)
+        );
+      case "IndexExpression":
+        return this.changesVariables(expression.index);
+      case "CastExpression":
+        return this.changesVariables(expression.expression);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Lower 'va' or 'ya' so that the right operand is evaluated only when the
+   * left one does not already decide the result
+   * @param {BinaryExpression} expression The BinaryExpression node
+   * @returns {string} The place where the result is stored
+   */
+  visitLogicalExpression(expression) {
+    const resultPlace = this.generateTemp();
+    const endLabel = `L${this.labelCount++}`;
+
     const leftPlace = this.visitExpression(expression.left);
+    this.instructions.push(new IntermediateInstruction("ASSIGN", [resultPlace, leftPlace], "bool"));
+
+    // 'va' is decided by a false left operand, 'ya' by a true one
+    let decidedPlace = resultPlace;
+    if (expression.operator.type === "YA") {
+      decidedPlace = this.generateTemp();
+      this.instructions.push(new IntermediateInstruction("NOT", [decidedPlace, resultPlace], "bool"));
+    }
+    this.instructions.push(new IntermediateInstruction("JUMP_IF_FALSE", [decidedPlace, endLabel]));
+
     const rightPlace = this.visitExpression(expression.right);
-    const resultPlace = this.generateTemp();
+    this.instructions.push(new IntermediateInstruction("ASSIGN", [resultPlace, rightPlace], "bool"));
+    this.instructions.push(new IntermediateInstruction("LABEL", [endLabel]));
 
+    return resultPlace;
+  }
+
+  /**
+   * Get the IR operation for a binary operator
+   * @param {string} operatorType The operator's token type
+   * @returns {string} The IR operation
+   */
+  getBinaryOp(operatorType) {
     let op;
-    switch (expression.operator.type) {
+    switch (operatorType) {
       case "PLUS":
         op = "ADD";
         break;
@@ -272,6 +588,24 @@ class IntermediateGenerator {
       case "DIVIDE":
         op = "DIV";
         break;
+      case "MODULO":
+        op = "MOD";
+        break;
+      case "AMPERSAND":
+        op = "BIT_AND";
+        break;
+      case "PIPE":
+        op = "BIT_OR";
+        break;
+      case "CARET":
+        op = "BIT_XOR";
+        break;
+      case "LESS_LESS":
+        op = "SHL";
+        break;
+      case "GREATER_GREATER":
+        op = "SHR";
+        break;
       case "EQUAL_EQUAL":
         op = "EQ";
         break;
@@ -301,11 +635,7 @@ class IntermediateGenerator {
         break;
     }
 
-    this.instructions.push(
-      new IntermediateInstruction(op, [resultPlace, leftPlace, rightPlace])
-    );
-
-    return resultPlace;
+    return op;
   }
 
   /**
@@ -319,20 +649,67 @@ class IntermediateGenerator {
 
     if (expression.operator.type === "MINUS") {
       this.instructions.push(
-        new IntermediateInstruction("NEG", [resultPlace, rightPlace])
+        new IntermediateInstruction(
+          "NEG",
+          [resultPlace, rightPlace],
+          this.toCppType(expression.resolvedType)
+        )
+      );
+    } else if (expression.operator.type === "BANG") {
+      this.instructions.push(
+        new IntermediateInstruction("NOT", [resultPlace, rightPlace], "bool")
+      );
+    } else if (expression.operator.type === "TILDE") {
+      this.instructions.push(
+        new IntermediateInstruction("BIT_NOT", [resultPlace, rightPlace], "int")
       );
     }
 
     return resultPlace;
   }
 
+  /**
+   * Visit a ConditionalExpression node
+   * @param {ConditionalExpression} expression The ConditionalExpression node
+   * @returns {string} The place where the result is stored
+   */
+  visitConditionalExpression(expression) {
+    const resultPlace = this.generateTemp();
+    const resultType = this.toCppType(expression.resolvedType);
+    const elseLabel = `L${this.labelCount++}`;
+    const endLabel = `L${this.labelCount++}`;
+
+    // Branch so that only the chosen arm is evaluated
+    const conditionPlace = this.visitExpression(expression.condition);
+    this.instructions.push(new IntermediateInstruction("JUMP_IF_FALSE", [conditionPlace, elseLabel]));
+    const thenPlace = this.visitExpression(expression.thenBranch);
+    this.instructions.push(new IntermediateInstruction("ASSIGN", [resultPlace, thenPlace], resultType));
+    this.instructions.push(new IntermediateInstruction("JUMP", [endLabel]));
+    this.instructions.push(new IntermediateInstruction("LABEL", [elseLabel]));
+    const elsePlace = this.visitExpression(expression.elseBranch);
+    this.instructions.push(new IntermediateInstruction("ASSIGN", [resultPlace, elsePlace], resultType));
+    this.instructions.push(new IntermediateInstruction("LABEL", [endLabel]));
+
+    return resultPlace;
+  }
+
   /**
    * Visit an AssignmentExpression node
    * @param {AssignmentExpression} expression The AssignmentExpression node
    * @returns {string} The place where the result is stored
    */
   visitAssignmentExpression(expression) {
-    const valuePace = this.visitExpression(expression.value);
+    let valuePace = this.visitExpression(expression.value);
+
+    // 'x += v' assigns the result of 'x + v'
+    if (expression.operator) {
+      valuePace = this.applyOperator(
+        expression.operator,
+        expression.name,
+        valuePace,
+        expression.symbol.type
+      );
+    }
 
     this.instructions.push(
       new IntermediateInstruction("ASSIGN", [expression.name, valuePace])
@@ -341,15 +718,150 @@ class IntermediateGenerator {
     return expression.name;
   }
 
+  /**
+   * Emit a binary operation on two places into a new temporary
+   * @param {Token} operator The operator token
+   * @param {string} leftPlace The left operand
+   * @param {string} rightPlace The right operand
+   * @param {string} type The type of the result
+   * @returns {string} The place where the result is stored
+   */
+  applyOperator(operator, leftPlace, rightPlace, type) {
+    const resultPlace = this.generateTemp();
+    this.instructions.push(
+      new IntermediateInstruction(
+        this.getBinaryOp(operator.type),
+        [resultPlace, leftPlace, rightPlace],
+        this.toCppType(type)
+      )
+    );
+    return resultPlace;
+  }
+
+  /**
+   * Visit an IndexAssignmentExpression node
+   * @param {IndexAssignmentExpression} expression The IndexAssignmentExpression node
+   * @returns {string} The place where the result is stored
+   */
+  visitIndexAssignmentExpression(expression) {
+    let [indexPlace, valuePlace] = this.visitOperands([expression.index, expression.value]);
+
+    // The index is evaluated once, for both reading and writing the element
+    if (expression.operator) {
+      const elementPlace = this.generateTemp();
+      this.instructions.push(
+        new IntermediateInstruction(
+          "LOAD_INDEXED",
+          [elementPlace, expression.name, indexPlace],
+          this.toCppType(expression.symbol.type)
+        )
+      );
+      valuePlace = this.applyOperator(
+        expression.operator,
+        elementPlace,
+        valuePlace,
+        expression.symbol.type
+      );
+    }
+
+    this.instructions.push(
+      new IntermediateInstruction("STORE_INDEXED", [
+        expression.name,
+        indexPlace,
+        valuePlace,
+      ])
+    );
+
+    return valuePlace;
+  }
+
   /**
    * Visit a VariableExpression node
    * @param {VariableExpression} expression The VariableExpression node
    * @returns {string} The place where the result is stored
    */
   visitVariableExpression(expression) {
+    // A named constant is read as its value, so functions can use the
+    // program's constants although C++ declares them inside main()
+    if (expression.symbol && expression.symbol.constant) {
+      const resultPlace = this.generateTemp();
+      const cppType = this.toCppType(expression.symbol.type);
+      this.instructions.push(
+        new IntermediateInstruction(
+          "LOAD",
+          [resultPlace, new Constant(expression.symbol.value, cppType)],
+          cppType
+        )
+      );
+      return resultPlace;
+    }
+
     return expression.name;
   }
 
+  /**
+   * Visit an UpdateExpression node (++ or --)
+   * @param {UpdateExpression} expression The UpdateExpression node
+   * @returns {string} The place holding the expression's value
+   */
+  visitUpdateExpression(expression) {
+    const target = expression.target;
+    const cppType = this.toCppType(target.symbol.type);
+    const op = expression.operator.type === "PLUS_PLUS" ? "ADD" : "SUB";
+
+    // Read the current value; an array index is evaluated only once
+    let indexPlace = null;
+    const oldPlace = this.generateTemp();
+    if (target.constructor.name === "IndexExpression") {
+      indexPlace = this.visitExpression(target.index);
+      this.instructions.push(
+        new IntermediateInstruction("LOAD_INDEXED", [oldPlace, target.name, indexPlace], cppType)
+      );
+    } else {
+      this.instructions.push(
+        new IntermediateInstruction("LOAD", [oldPlace, target.name], cppType)
+      );
+    }
+
+    const onePlace = this.generateTemp();
+    this.instructions.push(new IntermediateInstruction("LOAD", [onePlace, new Constant(1, "int")], "int"));
+    const newPlace = this.generateTemp();
+    this.instructions.push(
+      new IntermediateInstruction(op, [newPlace, oldPlace, onePlace], cppType)
+    );
+
+    if (indexPlace !== null) {
+      this.instructions.push(
+        new IntermediateInstruction("STORE_INDEXED", [target.name, indexPlace, newPlace])
+      );
+    } else {
+      this.instructions.push(new IntermediateInstruction("ASSIGN", [target.name, newPlace]));
+    }
+
+    // '++x' is the updated value, 'x++' the value before the update
+    return expression.prefix ? newPlace : oldPlace;
+  }
+
+  /**
+   * Visit an IndexExpression node
+   * @param {IndexExpression} expression The IndexExpression node
+   * @returns {string} The place where the result is stored
+   */
+  visitIndexExpression(expression) {
+    const indexPlace = this.visitExpression(expression.index);
+    const resultPlace = this.generateTemp();
+
+    this.instructions.push(
+      new IntermediateInstruction(
+        "LOAD_INDEXED",
+        [resultPlace, expression.name, indexPlace],
+        this.toCppType(expression.resolvedType)
+      )
+    );
+
+    return resultPlace;
+  }
+
   /**
    * Visit a LiteralExpression node
    * @param {LiteralExpression} expression The LiteralExpression node
@@ -358,17 +870,76 @@ class IntermediateGenerator {
   visitLiteralExpression(expression) {
     const resultPlace = this.generateTemp();
 
-    let valueStr;
-    if (expression.type === "STRING") {
-      valueStr = `"${expression.value}"`;
-    } else if (expression.type === "CHARACTER") {
-      valueStr = `'${expression.value}'`;
-    } else {
-      valueStr = expression.value.toString();
+    const cppType = this.toCppType(expression.type);
+    this.instructions.push(
+      new IntermediateInstruction(
+        "LOAD",
+        [resultPlace, new Constant(expression.value, cppType)],
+        cppType
+      )
+    );
+
+    return resultPlace;
+  }
+
+  /**
+   * Visit a CallExpression node
+   * @param {CallExpression} expression The CallExpression node
+   * @returns {string|undefined} The place where the result is stored, none for khali functions
+   */
+  visitCallExpression(expression) {
+    const argPlaces = this.visitOperands(expression.args);
+
+    // Built-in functions lower to their own operation
+    const builtin = Builtins[expression.callee];
+    if (builtin) {
+      const builtinPlace = this.generateTemp();
+      this.instructions.push(
+        new IntermediateInstruction(
+          builtin.op,
+          [builtinPlace, ...argPlaces],
+          this.toCppType(builtin.returnType)
+        )
+      );
+      return builtinPlace;
     }
 
+    // A 'khali' function has no value, which the semantic analyzer keeps
+    // from being used
+    if (this.functions.get(expression.callee) === "KHALI") {
+      this.instructions.push(
+        new IntermediateInstruction("CALL_VOID", [expression.callee, ...argPlaces])
+      );
+      return undefined;
+    }
+
+    const resultPlace = this.generateTemp();
     this.instructions.push(
-      new IntermediateInstruction("LOAD", [resultPlace, valueStr])
+      new IntermediateInstruction(
+        "CALL",
+        [resultPlace, expression.callee, ...argPlaces],
+        this.toCppType(this.functions.get(expression.callee))
+      )
+    );
+
+    return resultPlace;
+  }
+
+  /**
+   * Visit a CastExpression node
+   * @param {CastExpression} expression The CastExpression node
+   * @returns {string} The place where the result is stored
+   */
+  visitCastExpression(expression) {
+    const valuePlace = this.visitExpression(expression.expression);
+    const resultPlace = this.generateTemp();
+
+    this.instructions.push(
+      new IntermediateInstruction(
+        "CAST",
+        [resultPlace, valuePlace],
+        this.toCppType(expression.targetType)
+      )
     );
 
     return resultPlace;
@@ -380,6 +951,17 @@ class IntermediateGenerator {
    * @returns {string} The place where the result is stored
    */
   visitInputExpression(expression) {
+    if (expression.index) {
+      const indexPlace = this.visitExpression(expression.index);
+      this.instructions.push(
+        new IntermediateInstruction("INPUT_INDEXED", [
+          expression.variable,
+          indexPlace,
+        ])
+      );
+      return expression.variable;
+    }
+
     this.instructions.push(
       new IntermediateInstruction("INPUT", [expression.variable])
     );
@@ -390,14 +972,52 @@ class IntermediateGenerator {
   /**
    * Visit an OutputExpression node
    * @param {OutputExpression} expression The OutputExpression node
-   * @returns {string} The place where the result is stored
+   * @returns {string[]} The places of the printed values
    */
   visitOutputExpression(expression) {
-    const valuePace = this.visitExpression(expression.expression);
+    const places = this.visitOperands(expression.values.map((value) => value.expression));
 
-    this.instructions.push(new IntermediateInstruction("OUTPUT", [valuePace]));
+    this.instructions.push(
+      new IntermediateInstruction("OUTPUT", places, null, {
+        newline: expression.newline,
+        values: expression.values.map((value) => ({
+          width: value.widthValue,
+          precision: value.precisionValue,
+        })),
+      })
+    );
 
-    return valuePace;
+    return places;
+  }
+
+  /**
+   * Map an AkbariLang type or literal type to its C++ equivalent
+   * @param {string} type The AkbariLang type
+   * @returns {string} The C++ type
+   */
+  toCppType(type) {
+    switch (type) {
+      case "SAHIH":
+      case "INTEGER":
+        return "int";
+      case "ASHAR":
+        return "float";
+      case "FLOAT":
+        return "double";
+      case "HARF":
+      case "CHARACTER":
+        return "char";
+      case "MATN":
+      case "STRING":
+        return "std::string";
+      case "MANTEGHI":
+      case "BOOLEAN":
+        return "bool";
+      case "KHALI":
+        return "void";
+      default:
+        return "auto";
+    }
   }
 
   /**
@@ -1,22 +1,57 @@
-const { Token, TokenType, Keywords } = require("./token");
+const { Token, TokenType, Dialects, DefaultKeywords } = require("./token");
+
+// The character each escape sequence in a string or character literal stands for
+const Escapes = {
+  n: "\n",
+  t: "\t",
+  r: "\r",
+  0: "\0",
+  "\\": "\\",
+  '"': '"',
+  "'": "'",
+};
 
 class Lexer {
-  constructor(source) {
+  /**
+   * @param {string} source The source code
+   * @param {Object} options Lexer options
+   * @param {string} [options.dialect] The keyword dialect, unless the source names one
+   */
+  constructor(source, options = {}) {
     this.source = source;
     this.tokens = [];
+    this.dialect = null; // Name of the dialect in use, or null for the default keywords
+    this.pragmaRange = null; // Byte offsets of the dialect pragma, if the source has one
+    this.keywords = DefaultKeywords;
     this.start = 0;
     this.current = 0;
+    // Position of the next character to read
     this.line = 1;
     this.column = 1;
+    this.offset = 0; // In bytes of the UTF-8 encoded source
+    // Position of the first character of the token being scanned
+    this.startLine = 1;
+    this.startColumn = 1;
+    this.startOffset = 0;
+    this.pendingDoc = null; // Documentation comment waiting for the next token
+
+    if (options.dialect) {
+      this.useDialect(options.dialect);
+    }
   }
 
   tokenize() {
     while (!this.isAtEnd()) {
       this.start = this.current;
+      this.startLine = this.line;
+      this.startColumn = this.column;
+      this.startOffset = this.offset;
       this.scanToken();
     }
 
-    this.tokens.push(new Token(TokenType.EOF, "", this.line, this.column));
+    this.tokens.push(
+      new Token(TokenType.EOF, "", this.line, this.column, this.offset, this.offset)
+    );
     return this.tokens;
   }
 
@@ -40,23 +75,76 @@ class Lexer {
       case "}":
         this.addToken(TokenType.RIGHT_BRACE);
         break;
+      case "[":
+        this.addToken(TokenType.LEFT_BRACKET);
+        break;
+      case "]":
+        this.addToken(TokenType.RIGHT_BRACKET);
+        break;
       case ";":
         this.addToken(TokenType.SEMICOLON);
         break;
       case ",":
         this.addToken(TokenType.COMMA);
         break;
+      case ":":
+        this.addToken(TokenType.COLON);
+        break;
+      case "?":
+        this.addToken(TokenType.QUESTION);
+        break;
       case "+":
-        this.addToken(TokenType.PLUS);
+        if (this.match("+")) {
+          this.addToken(TokenType.PLUS_PLUS);
+        } else if (this.match("=")) {
+          this.addToken(TokenType.PLUS_EQUAL);
+        } else {
+          this.addToken(TokenType.PLUS);
+        }
         break;
       case "-":
-        this.addToken(TokenType.MINUS);
+        if (this.match("-")) {
+          this.addToken(TokenType.MINUS_MINUS);
+        } else if (this.match("=")) {
+          this.addToken(TokenType.MINUS_EQUAL);
+        } else {
+          this.addToken(TokenType.MINUS);
+        }
         break;
       case "*":
-        this.addToken(TokenType.MULTIPLY);
+        if (this.match("=")) {
+          this.addToken(TokenType.MULTIPLY_EQUAL);
+        } else {
+          this.addToken(TokenType.MULTIPLY);
+        }
         break;
       case "/":
-        this.addToken(TokenType.DIVIDE);
+        if (this.match("*")) {
+          this.blockComment();
+        } else if (this.match("=")) {
+          this.addToken(TokenType.DIVIDE_EQUAL);
+        } else {
+          this.addToken(TokenType.DIVIDE);
+        }
+        break;
+      case "&":
+        this.addToken(TokenType.AMPERSAND);
+        break;
+      case "|":
+        this.addToken(TokenType.PIPE);
+        break;
+      case "^":
+        this.addToken(TokenType.CARET);
+        break;
+      case "~":
+        this.addToken(TokenType.TILDE);
+        break;
+      case "%":
+        if (this.match("=")) {
+          this.addToken(TokenType.MODULO_EQUAL);
+        } else {
+          this.addToken(TokenType.MODULO);
+        }
         break;
 
       // Two-character tokens
@@ -70,6 +158,8 @@ class Lexer {
       case "<":
         if (this.match("=")) {
           this.addToken(TokenType.LESS_EQUAL);
+        } else if (this.match("<")) {
+          this.addToken(TokenType.LESS_LESS);
         } else {
           this.addToken(TokenType.LESS_THAN);
         }
@@ -77,6 +167,8 @@ class Lexer {
       case ">":
         if (this.match("=")) {
           this.addToken(TokenType.GREATER_EQUAL);
+        } else if (this.match(">")) {
+          this.addToken(TokenType.GREATER_GREATER);
         } else {
           this.addToken(TokenType.GREATER_THAN);
         }
@@ -85,26 +177,9 @@ class Lexer {
         if (this.match("=")) {
           this.addToken(TokenType.NOT_EQUAL);
         } else {
-          this.addToken(TokenType.UNKNOWN);
-        }
-        break;
-      case "v":
-        if (this.match("a") && this.match("l") && this.match("i")) {
-          this.addToken(TokenType.VALI);
-        } else if (this.match("a")) {
-          this.addToken(TokenType.VA);
-        } else {
-          this.identifier();
-        }
-        break;
-      case "y":
-        if (this.match("a")) {
-          this.addToken(TokenType.YA);
-        } else {
-          this.identifier();
+          this.addToken(TokenType.BANG);
         }
         break;
-
       // String literals
       case '"':
         this.string();
@@ -116,6 +191,7 @@ class Lexer {
         while (this.peek() !== '\n' && !this.isAtEnd()) {
           this.advance();
         }
+        this.pragma(this.source.substring(this.start, this.current));
         break;
 
       // Character literals
@@ -127,17 +203,12 @@ class Lexer {
       case " ":
       case "\r":
       case "\t":
-        // Ignore whitespace
-        this.column++;
-        break;
       case "\n":
-        this.line++;
-        this.column = 1;
         break;
 
       // Default case: identifiers, keywords, or numbers
       default:
-        if (this.isDigit(c)) {
+        if (this.isDigit(c) || (this.isDecimalPoint(c) && this.isDigit(this.peek()))) {
           this.number();
         } else if (this.isAlpha(c)) {
           this.identifier();
@@ -149,76 +220,177 @@ class Lexer {
   }
 
   /**
-   * Process an identifier or keyword
+   * Process an identifier or keyword; the whole word is read before it is
+   * looked up, so keywords are never matched inside longer names
    */
   identifier() {
     while (this.isAlphaNumeric(this.peek())) {
       this.advance();
     }
 
-    const text = this.source.substring(this.start, this.current);
+    // Arabic yeh and kaf, as some keyboards type them, are the Persian letters
+    const text = this.source
+      .substring(this.start, this.current)
+      .replace(/\u064a/g, "\u06cc")
+      .replace(/\u0643/g, "\u06a9");
 
-    // Special case for 'vali age' which is two words but one token
-    if (
-      text === "vali" &&
-      this.peek() === " " &&
-      this.source.substring(this.current + 1, this.current + 4) === "age"
-    ) {
-      this.advance(); // consume the space
-      this.advance(); // consume 'a'
-      this.advance(); // consume 'g'
-      this.advance(); // consume 'e'
-      this.addToken(TokenType.VALI);
-      return;
-    }
+    const type = Object.prototype.hasOwnProperty.call(this.keywords, text)
+      ? this.keywords[text]
+      : TokenType.IDENTIFIER;
 
-    let type = Keywords[text];
-    if (!type) {
-      type = TokenType.IDENTIFIER;
+    this.addToken(type, text);
+  }
+
+  /**
+   * Act on a line comment that is a pragma; '# dialect: <name>' before the
+   * first token selects the keyword dialect of the file
+   * @param {string} comment The comment, including its '#'
+   */
+  pragma(comment) {
+    const match = /^#\s*dialect\s*:\s*(\S+)\s*$/.exec(comment);
+    if (match && this.tokens.length === 0) {
+      this.useDialect(match[1]);
+      this.pragmaRange = { offset: this.startOffset, endOffset: this.offset };
     }
+  }
 
-    this.addToken(type);
+  /**
+   * Select the keyword table of a dialect
+   * @param {string} name The dialect name
+   */
+  useDialect(name) {
+    if (!Object.prototype.hasOwnProperty.call(Dialects, name)) {
+      this.error(
+        `Unknown dialect '${name}'; expected one of ${Object.keys(Dialects).join(", ")}`
+      );
+    }
+    this.dialect = name;
+    this.keywords = Dialects[name];
   }
 
   /**
-   * Process a number (integer or float)
+   * Process a number: decimal with an optional fraction and exponent, or
+   * hexadecimal, binary or octal after a 0x, 0b or 0o prefix; '_' may
+   * separate digits
    */
   number() {
-    let isFloat = false;
-
-    while (this.isDigit(this.peek())) {
-      this.advance();
+    const first = this.source[this.start];
+    if (first === "0" && /[xXbBoO]/.test(this.peek())) {
+      this.radixNumber();
+      return;
     }
 
-    // Look for a decimal part
-    if (this.peek() === "." && this.isDigit(this.peekNext())) {
+    // A number may start at its decimal point, as in .5
+    let isFloat = this.isDecimalPoint(first);
+    this.digits();
+
+    // Look for a decimal part, after a '.' or the Persian decimal separator
+    if (!isFloat && this.isDecimalPoint(this.peek()) && this.isDigit(this.peekNext())) {
       isFloat = true;
 
-      // Consume the '.'
+      // Consume the separator
       this.advance();
+      this.digits();
+    }
 
-      while (this.isDigit(this.peek())) {
+    // Look for an exponent, as in 1e6 or 2.5e-3
+    if (this.peek() === "e" || this.peek() === "E") {
+      const sign = this.peekNext() === "+" || this.peekNext() === "-";
+      if (this.isDigit(sign ? this.source.charAt(this.current + 2) : this.peekNext())) {
+        isFloat = true;
         this.advance();
+        if (sign) {
+          this.advance();
+        }
+        this.digits();
       }
     }
+    this.endOfNumber();
+
+    // Persian and Arabic-Indic digits have the values of their ASCII counterparts
+    const value = this.source
+      .substring(this.start, this.current)
+      .replace(/_/g, "")
+      .replace(/[\u06f0-\u06f9]/g, (d) => d.charCodeAt(0) - 0x06f0)
+      .replace(/[\u0660-\u0669]/g, (d) => d.charCodeAt(0) - 0x0660)
+      .replace("\u066b", ".");
+
+    if (!isFloat) {
+      this.addToken(TokenType.INTEGER, parseInt(value, 10));
+      return;
+    }
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) {
+      this.error("Floating-point literal is too large");
+    }
+    this.addToken(TokenType.FLOAT, number);
+  }
 
-    const value = this.source.substring(this.start, this.current);
-    this.addToken(
-      isFloat ? TokenType.FLOAT : TokenType.INTEGER,
-      isFloat ? parseFloat(value) : parseInt(value, 10)
-    );
+  /**
+   * Process the rest of a hexadecimal, binary or octal number after its '0'
+   */
+  radixNumber() {
+    const prefix = this.advance().toLowerCase();
+    const { name, radix } = {
+      x: { name: "hexadecimal", radix: 16 },
+      b: { name: "binary", radix: 2 },
+      o: { name: "octal", radix: 8 },
+    }[prefix];
+
+    const digitsStart = this.current;
+    while (this.isAlphaNumeric(this.peek())) {
+      this.advance();
+    }
+    const text = this.source.substring(digitsStart, this.current);
+
+    if (text === "") {
+      this.error(`Expected ${name} digits after '0${prefix}'`);
+    }
+    if (/^_|_$|__/.test(text)) {
+      this.error("Misplaced '_' in numeric literal");
+    }
+    const digits = text.replace(/_/g, "");
+    for (const digit of digits) {
+      if (!/[0-9a-z]/i.test(digit) || parseInt(digit, 36) >= radix) {
+        this.error(`Invalid digit '${digit}' in ${name} literal`);
+      }
+    }
+
+    this.addToken(TokenType.INTEGER, parseInt(digits, radix));
+  }
+
+  /**
+   * Consume a run of decimal digits, each '_' in it standing between two digits
+   */
+  digits() {
+    while (
+      this.isDigit(this.peek()) ||
+      (this.peek() === "_" && this.isDigit(this.peekNext()))
+    ) {
+      this.advance();
+    }
+  }
+
+  /**
+   * Check that a number is not directly followed by a letter or '_'
+   */
+  endOfNumber() {
+    const c = this.peek();
+    if (c === "_") {
+      this.error("Misplaced '_' in numeric literal", this.line, this.column);
+    }
+    if (this.isAlphaNumeric(c)) {
+      this.error(`Invalid character '${c}' in numeric literal`, this.line, this.column);
+    }
   }
 
   /**
    * Process a string literal
    */
   string() {
+    let value = "";
     while (this.peek() !== '"' && !this.isAtEnd()) {
-      if (this.peek() === "\n") {
-        this.line++;
-        this.column = 1;
-      }
-      this.advance();
+      value += this.peek() === "\\" ? this.escape() : this.advance();
     }
 
     if (this.isAtEnd()) {
@@ -229,8 +401,6 @@ class Lexer {
     // Consume the closing "
     this.advance();
 
-    // Trim the quotes
-    const value = this.source.substring(this.start + 1, this.current - 1);
     this.addToken(TokenType.STRING, value);
   }
 
@@ -243,7 +413,12 @@ class Lexer {
       return;
     }
 
-    const charValue = this.advance();
+    const charValue = this.peek() === "\\" ? this.escape() : this.advance();
+
+    // A harf is one byte in the generated C++, too small for other scripts
+    if (charValue.charCodeAt(0) > 0x7f) {
+      this.error("Character literal must be an ASCII character; use a 'matn' for other letters");
+    }
 
     if (this.peek() !== "'") {
       this.error("Character literal can only contain one character");
@@ -256,15 +431,88 @@ class Lexer {
     this.addToken(TokenType.CHARACTER, charValue);
   }
 
+  /**
+   * Process an escape sequence, starting at its backslash
+   * @returns {string} The character the sequence stands for
+   */
+  escape() {
+    const line = this.line;
+    const column = this.column;
+    this.advance();
+
+    if (this.isAtEnd()) {
+      this.error("Unterminated escape sequence", line, column);
+    }
+
+    const c = this.advance();
+    if (!Object.prototype.hasOwnProperty.call(Escapes, c)) {
+      this.error(`Unknown escape sequence '\\${c}'`, line, column);
+    }
+    return Escapes[c];
+  }
+
+  /**
+   * Process a block comment after its opening '/*'; block comments nest, and
+   * one opened with '/**' documents the token that follows it
+   */
+  blockComment() {
+    const isDoc = this.peek() === "*" && this.peekNext() !== "/";
+
+    let depth = 1;
+    while (depth > 0) {
+      if (this.isAtEnd()) {
+        this.error("Unterminated comment");
+      }
+
+      const c = this.advance();
+      if (c === "/" && this.peek() === "*") {
+        this.advance();
+        depth++;
+      } else if (c === "*" && this.peek() === "/") {
+        this.advance();
+        depth--;
+      }
+    }
+
+    if (isDoc) {
+      this.pendingDoc = this.docText(this.source.substring(this.start + 3, this.current - 2));
+    }
+  }
+
+  /**
+   * Clean up the text of a documentation comment
+   * @param {string} text The text between the comment's delimiters
+   * @returns {string|null} The text without the leading '*' of each line, or
+   * null if the comment has no text
+   */
+  docText(text) {
+    const lines = text
+      .split("\n")
+      .map((line) => line.replace(/^\s*\*? ?/, "").trimEnd());
+
+    while (lines.length > 0 && lines[0] === "") lines.shift();
+    while (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+    return lines.length > 0 ? lines.join("\n") : null;
+  }
+
   /**
    * Add a token to the tokens list
    */
   addToken(type, literal = null) {
     const text = this.source.substring(this.start, this.current);
-    this.tokens.push(
-      new Token(type, literal !== null ? literal : text, this.line, this.column)
+    const token = new Token(
+      type,
+      literal !== null ? literal : text,
+      this.startLine,
+      this.startColumn,
+      this.startOffset,
+      this.offset
     );
-    this.column += this.current - this.start;
+    if (this.pendingDoc !== null) {
+      token.doc = this.pendingDoc;
+      this.pendingDoc = null;
+    }
+    this.tokens.push(token);
   }
 
   /**
@@ -274,15 +522,37 @@ class Lexer {
     if (this.isAtEnd()) return false;
     if (this.source.charAt(this.current) !== expected) return false;
 
-    this.current++;
+    this.advance();
     return true;
   }
 
   /**
-   * Advance to the next character
+   * Advance to the next character, keeping track of its position
    */
   advance() {
-    return this.source.charAt(this.current++);
+    const c = this.source.charAt(this.current++);
+    if (c === "\n") {
+      this.line++;
+      this.column = 1;
+    } else {
+      this.column++;
+    }
+    this.offset += this.byteLength(c);
+    return c;
+  }
+
+  /**
+   * Get the number of bytes a UTF-16 code unit adds to the UTF-8 encoding
+   * @param {string} c The code unit
+   * @returns {number} The number of bytes
+   */
+  byteLength(c) {
+    const code = c.charCodeAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    // Each half of a surrogate pair stands for half of a 4-byte character
+    if (code >= 0xd800 && code <= 0xdfff) return 2;
+    return 3;
   }
 
   /**
@@ -302,24 +572,35 @@ class Lexer {
   }
 
   /**
-   * Check if a character is a digit
+   * Check if a character is a digit, in ASCII, Persian or Arabic-Indic form
    */
   isDigit(c) {
-    return c >= "0" && c <= "9";
+    return (c >= "0" && c <= "9") ||
+      (c >= "\u06f0" && c <= "\u06f9") ||
+      (c >= "\u0660" && c <= "\u0669");
+  }
+
+  /**
+   * Check if a character is a decimal point, '.' or the Persian separator
+   */
+  isDecimalPoint(c) {
+    return c === "." || c === "\u066b";
   }
 
   /**
-   * Check if a character is alphabetic
+   * Check if a character can start an identifier: a letter of any script or '_'
    */
   isAlpha(c) {
-    return (c >= "a" && c <= "z") || (c >= "A" && c <= "Z") || c === "_";
+    return /[\p{L}_]/u.test(c);
   }
 
   /**
-   * Check if a character is alphanumeric
+   * Check if a character can continue an identifier; besides letters and
+   * digits this allows combining marks and the zero-width non-joiner that
+   * Persian words are written with
    */
   isAlphaNumeric(c) {
-    return this.isAlpha(c) || this.isDigit(c);
+    return this.isAlpha(c) || this.isDigit(c) || /[\p{M}\p{Nd}\u200c]/u.test(c);
   }
 
   /**
@@ -332,12 +613,12 @@ class Lexer {
   /**
    * Report an error
    */
-  error(message) {
+  error(message, line = this.startLine, column = this.startColumn) {
     const err = new Error(
-      `Lexical error at line ${this.line}, column ${this.column}: ${message}`
+      `Lexical error at line ${line}, column ${column}: ${message}`
     );
-    err.lineNumber = this.line;
-    err.columnNumber = this.column;
+    err.lineNumber = line;
+    err.columnNumber = column;
     throw err;
   }
 }
@@ -0,0 +1,44 @@
+/**
+ * String and character literals as they appear in the generated C++
+ * The lexer decodes escape sequences; these helpers write values back out as
+ * C++ literals
+ */
+
+// The escape sequence written for each character that needs one
+const EscapeSequences = {
+  '\n': '\\n',
+  '\t': '\\t',
+  '\r': '\\r',
+  // Three octal digits, so a following digit cannot extend the escape
+  '\0': '\\000',
+  '\\': '\\\\'
+};
+
+/**
+ * Write a value as a C++ literal
+ * @param {string} value The decoded value
+ * @param {string} delimiter The quote character that delimits the literal
+ * @returns {string} The literal with its special characters escaped
+ */
+function quote(value, delimiter) {
+  const escaped = value.replace(/[\\"'\n\t\r\0]/g, (c) => {
+    if (EscapeSequences[c]) return EscapeSequences[c];
+    return c === delimiter ? `\\${c}` : c;
+  });
+  return `${delimiter}${escaped}${delimiter}`;
+}
+
+/**
+ * Write a value as a C++ expression of type std::string
+ * @param {string} value The decoded value
+ * @returns {string} The string literal, given its length if the value holds a NUL
+ */
+function stringLiteral(value) {
+  // A string made from a bare literal would end at the first NUL
+  if (value.includes('\0')) {
+    return `std::string(${quote(value, '"')}, ${Buffer.byteLength(value, 'utf8')})`;
+  }
+  return quote(value, '"');
+}
+
+module.exports = { quote, stringLiteral };
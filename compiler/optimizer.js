@@ -1,3 +1,5 @@
+const Constant = require('./constant');
+
 /**
  * Optimizer for the intermediate code
  * Performs various optimizations to improve the generated code
@@ -28,9 +30,47 @@ class Optimizer {
    */
   constantFolding(instructions) {
     const constants = new Map();
+    // Names declared in each enclosing scope
+    let scopeNames = [new Set()];
     const result = [];
+    // Known values at each label reached only by forward jumps, as merged
+    // from the jumps seen so far
+    const backwardTargets = this.findBackwardTargets(instructions);
+    const atLabel = new Map();
+    let reachable = true;
     
     for (const instr of instructions) {
+      // Known values never carry over from one function into another, and
+      // loops and switches enter their labels from places not seen yet
+      if (instr.op === 'FUNC_BEGIN' || instr.op === 'FUNC_END' || this.isSwitchLabel(instr.op) ||
+          (instr.op === 'LABEL' && backwardTargets.has(instr.args[0]))) {
+        constants.clear();
+        reachable = true;
+      } else if (instr.op === 'LABEL') {
+        // Only values every way into the label agrees on still hold there
+        const jumped = atLabel.get(instr.args[0]);
+        const merged = reachable ? this.mergeKnownValues(jumped, constants) : jumped || new Map();
+        constants.clear();
+        merged.forEach((value, name) => constants.set(name, value));
+        reachable = reachable || jumped !== undefined;
+      }
+      if (instr.op === 'FUNC_BEGIN' || instr.op === 'FUNC_END') {
+        scopeNames = [new Set()];
+      } else if (instr.op === 'SCOPE_BEGIN') {
+        scopeNames.push(new Set());
+      } else if (instr.op === 'SCOPE_END') {
+        // Values known for the scope's variables say nothing about the
+        // variables of the same name outside it
+        scopeNames.pop().forEach(name => {
+          constants.delete(name);
+          atLabel.forEach(values => values.delete(name));
+        });
+      } else if (['DECLARE', 'DECLARE_INIT', 'DECLARE_CONST', 'DECLARE_ARRAY', 'PARAM'].includes(instr.op)) {
+        // A declaration hides any value known for an outer variable of the same name
+        scopeNames[scopeNames.length - 1].add(instr.args[1]);
+        constants.delete(instr.args[1]);
+      }
+
       // Check if the instruction can be folded
       if (this.isArithmeticOp(instr.op)) {
         const arg1 = instr.args[1];
@@ -40,27 +80,14 @@ class Optimizer {
         if (this.isConstant(arg1) && this.isConstant(arg2)) {
           const value1 = this.getConstantValue(arg1);
           const value2 = this.getConstantValue(arg2);
-          let resultValue;
-          
-          switch (instr.op) {
-            case 'ADD': resultValue = value1 + value2; break;
-            case 'SUB': resultValue = value1 - value2; break;
-            case 'MUL': resultValue = value1 * value2; break;
-            case 'DIV': resultValue = value1 / value2; break;
-            case 'EQ': resultValue = value1 === value2 ? 1 : 0; break;
-            case 'NEQ': resultValue = value1 !== value2 ? 1 : 0; break;
-            case 'LT': resultValue = value1 < value2 ? 1 : 0; break;
-            case 'GT': resultValue = value1 > value2 ? 1 : 0; break;
-            case 'LE': resultValue = value1 <= value2 ? 1 : 0; break;
-            case 'GE': resultValue = value1 >= value2 ? 1 : 0; break;
-            default: resultValue = null; break;
-          }
+          const resultValue = this.foldBinary(instr.op, value1, value2, instr.type);
           
           if (resultValue !== null) {
             // Replace the instruction with a LOAD instruction
             result.push({
               op: 'LOAD',
-              args: [instr.args[0], resultValue.toString()]
+              type: instr.type,
+              args: [instr.args[0], this.toConstant(resultValue, instr.type)]
             });
             
             // Remember this result for possible future use
@@ -71,27 +98,14 @@ class Optimizer {
           // If both operands are variables with known constant values
           const value1 = constants.get(arg1);
           const value2 = constants.get(arg2);
-          let resultValue;
-          
-          switch (instr.op) {
-            case 'ADD': resultValue = value1 + value2; break;
-            case 'SUB': resultValue = value1 - value2; break;
-            case 'MUL': resultValue = value1 * value2; break;
-            case 'DIV': resultValue = value1 / value2; break;
-            case 'EQ': resultValue = value1 === value2 ? 1 : 0; break;
-            case 'NEQ': resultValue = value1 !== value2 ? 1 : 0; break;
-            case 'LT': resultValue = value1 < value2 ? 1 : 0; break;
-            case 'GT': resultValue = value1 > value2 ? 1 : 0; break;
-            case 'LE': resultValue = value1 <= value2 ? 1 : 0; break;
-            case 'GE': resultValue = value1 >= value2 ? 1 : 0; break;
-            default: resultValue = null; break;
-          }
+          const resultValue = this.foldBinary(instr.op, value1, value2, instr.type);
           
           if (resultValue !== null) {
             // Replace the instruction with a LOAD instruction
             result.push({
               op: 'LOAD',
-              args: [instr.args[0], resultValue.toString()]
+              type: instr.type,
+              args: [instr.args[0], this.toConstant(resultValue, instr.type)]
             });
             
             // Remember this result for possible future use
@@ -103,28 +117,116 @@ class Optimizer {
         // If loading a constant, remember its value
         if (this.isConstant(instr.args[1])) {
           constants.set(instr.args[0], this.getConstantValue(instr.args[1]));
+        } else {
+          constants.delete(instr.args[0]);
+        }
+      } else if (instr.op === 'DECLARE_INIT') {
+        // A variable starts out with its initializer's value; floating-point
+        // values are left alone, as folding them in double precision could
+        // differ from what a 'float' variable holds
+        const place = instr.args[2];
+        const type = instr.args[0];
+        const value = this.isConstant(place) ? this.getConstantValue(place) : constants.get(place);
+        if (value !== undefined && type !== 'float' && type !== 'double') {
+          const converted = type === 'int' || type === 'char' ? this.foldCast(value, type) : value;
+          if (converted !== null) {
+            constants.set(instr.args[1], converted);
+          }
+        }
+      } else if (instr.op === 'DECLARE_CONST') {
+        const place = instr.args[2];
+        const value = this.isConstant(place) ? this.getConstantValue(place) : constants.get(place);
+        if (value !== undefined) {
+          result.push({
+            op: 'DECLARE_CONST',
+            type: instr.type,
+            args: [instr.args[0], instr.args[1], this.toConstant(value, instr.args[0])]
+          });
+          continue;
         }
+      } else if (instr.op === 'JUMP_IF_FALSE') {
+        // A branch on a known condition is either always or never taken
+        const condition = instr.args[0];
+        const value = this.isConstant(condition) ? this.getConstantValue(condition) : constants.get(condition);
+        if (value === true) {
+          continue;
+        }
+        if (value === false) {
+          this.recordJump(atLabel, instr.args[1], constants, reachable);
+          reachable = false;
+          result.push({ op: 'JUMP', type: null, args: [instr.args[1]] });
+          continue;
+        }
+        this.recordJump(atLabel, instr.args[1], constants, reachable);
+      } else if (instr.op === 'JUMP') {
+        this.recordJump(atLabel, instr.args[0], constants, reachable);
+        reachable = false;
+      } else if (instr.op === 'RETURN') {
+        reachable = false;
       } else if (instr.op === 'ASSIGN') {
         // If assigning a constant, remember its value
         if (constants.has(instr.args[1])) {
           constants.set(instr.args[0], constants.get(instr.args[1]));
+        } else {
+          constants.delete(instr.args[0]);
         }
+      } else if (instr.op === 'INPUT') {
+        constants.delete(instr.args[0]);
       } else if (instr.op === 'NEG') {
         // Handle unary negation
         const arg = instr.args[1];
-        if (this.isConstant(arg)) {
-          const value = -this.getConstantValue(arg);
+        if (this.isConstant(arg) || constants.has(arg)) {
+          const value = this.representable(
+            -(this.isConstant(arg) ? this.getConstantValue(arg) : constants.get(arg)),
+            instr.type
+          );
+          if (value !== null) {
+            result.push({
+              op: 'LOAD',
+              type: instr.type,
+              args: [instr.args[0], this.toConstant(value, instr.type)]
+            });
+            constants.set(instr.args[0], value);
+            continue;
+          }
+        }
+      } else if (instr.op === 'BIT_NOT') {
+        // Handle bitwise complement
+        const arg = instr.args[1];
+        if (this.isConstant(arg) || constants.has(arg)) {
+          const value = ~(this.isConstant(arg) ? this.getConstantValue(arg) : constants.get(arg));
           result.push({
             op: 'LOAD',
-            args: [instr.args[0], value.toString()]
+            type: instr.type,
+            args: [instr.args[0], this.toConstant(value, instr.type)]
           });
           constants.set(instr.args[0], value);
           continue;
-        } else if (constants.has(arg)) {
-          const value = -constants.get(arg);
+        }
+      } else if (instr.op === 'CAST') {
+        // Handle type conversion
+        const arg = instr.args[1];
+        if (this.isConstant(arg) || constants.has(arg)) {
+          const value = this.foldCast(this.isConstant(arg) ? this.getConstantValue(arg) : constants.get(arg), instr.type);
+          if (value !== null) {
+            result.push({
+              op: 'LOAD',
+              type: instr.type,
+              args: [instr.args[0], this.toConstant(value, instr.type)]
+            });
+            constants.set(instr.args[0], value);
+            continue;
+          }
+        }
+      } else if (instr.op === 'NOT') {
+        // Handle logical not
+        const arg = instr.args[1];
+        if (this.isConstant(arg) || constants.has(arg)) {
+          const value = !(this.isConstant(arg) ? this.getConstantValue(arg) : constants.get(arg));
           result.push({
             op: 'LOAD',
-            args: [instr.args[0], value.toString()]
+            type: instr.type,
+            args: [instr.args[0], this.toConstant(value, instr.type)]
           });
           constants.set(instr.args[0], value);
           continue;
@@ -138,6 +240,131 @@ class Optimizer {
     return result;
   }
 
+  /**
+   * Convert a constant value the way static_cast would
+   * @param {number|string} value The value (a character is a one-letter string)
+   * @param {string} type The C++ type converted to
+   * @returns {number|string|null} The result, or null if it cannot be folded
+   */
+  foldCast(value, type) {
+    const number = typeof value === 'string' ? value.charCodeAt(0) : value;
+    if (type === 'int') {
+      return this.representable(Math.trunc(number), type);
+    }
+    if (type === 'char') {
+      // Only printable characters are folded
+      const code = Math.trunc(number);
+      return code >= 32 && code < 127 ? String.fromCharCode(code) : null;
+    }
+    return number;
+  }
+
+  /**
+   * Find the labels some jump reaches by going backwards, such as loop starts
+   * @param {IntermediateInstruction[]} instructions The intermediate instructions
+   * @returns {Set<string>} The labels jumped back to
+   */
+  findBackwardTargets(instructions) {
+    const seen = new Set();
+    const targets = new Set();
+    for (const instr of instructions) {
+      if (instr.op === 'LABEL') {
+        seen.add(instr.args[0]);
+      } else if ((instr.op === 'JUMP' || instr.op === 'JUMP_IF_FALSE') &&
+                 seen.has(instr.args[instr.args.length - 1])) {
+        targets.add(instr.args[instr.args.length - 1]);
+      }
+    }
+    return targets;
+  }
+
+  /**
+   * Record the known values a forward jump carries to its label
+   * @param {Map} atLabel The known values at each label
+   * @param {string} label The jump's label
+   * @param {Map} constants The known values at the jump
+   * @param {boolean} reachable Whether the jump can run at all
+   */
+  recordJump(atLabel, label, constants, reachable) {
+    if (reachable) {
+      atLabel.set(label, this.mergeKnownValues(atLabel.get(label), constants));
+    }
+  }
+
+  /**
+   * Keep the known values two paths agree on
+   * @param {Map|undefined} first The values along one path, or undefined if none reaches yet
+   * @param {Map} second The values along the other path
+   * @returns {Map} The values known along both paths
+   */
+  mergeKnownValues(first, second) {
+    if (first === undefined) return new Map(second);
+    const merged = new Map();
+    first.forEach((value, name) => {
+      if (second.has(name) && second.get(name) === value) {
+        merged.set(name, value);
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Compute the result of a binary operation on two constant values
+   * @param {string} op The operation
+   * @param {number|string|boolean} value1 The left operand
+   * @param {number|string|boolean} value2 The right operand
+   * @param {string} type The C++ type of the result
+   * @returns {number|string|boolean|null} The result, or null if the operation cannot be folded
+   */
+  foldBinary(op, value1, value2, type) {
+    switch (op) {
+      // Results too large for their type are not folded
+      case 'ADD': return this.representable(value1 + value2, type);
+      case 'SUB': return this.representable(value1 - value2, type);
+      case 'MUL': return this.representable(value1 * value2, type);
+      case 'DIV':
+        // Leave division by zero for the program to hit at run time
+        if (value2 === 0) return null;
+        return this.representable(type === 'int' ? Math.trunc(value1 / value2) : value1 / value2, type);
+      case 'EQ': return value1 === value2;
+      case 'NEQ': return value1 !== value2;
+      case 'LT': return value1 < value2;
+      case 'GT': return value1 > value2;
+      case 'LE': return value1 <= value2;
+      case 'GE': return value1 >= value2;
+      case 'MOD':
+        // As with division, a zero divisor is left for run time
+        if (value2 === 0) return null;
+        return value1 % value2;
+      case 'BIT_AND': return value1 & value2;
+      case 'BIT_OR': return value1 | value2;
+      case 'BIT_XOR': return value1 ^ value2;
+      // Shift amounts C++ leaves undefined are not folded
+      case 'SHL': return value2 >= 0 && value2 < 32 ? value1 << value2 : null;
+      case 'SHR': return value2 >= 0 && value2 < 32 ? value1 >> value2 : null;
+      case 'AND': return value1 && value2;
+      case 'OR': return value1 || value2;
+      default: return null;
+    }
+  }
+
+  /**
+   * Drop a folded result its type cannot hold, such as a sahih past 32 bits;
+   * the overflow is left for the program to hit at run time
+   * @param {number|string|boolean} value The folded value
+   * @param {string} type The C++ type of the value
+   * @returns {number|string|boolean|null} The value, or null if it does not fit
+   */
+  representable(value, type) {
+    if (typeof value !== 'number') {
+      return value;
+    }
+    if (type === 'int') {
+      return value >= -2147483648 && value <= 2147483647 ? value : null;
+    }
+    return Number.isFinite(value) ? value : null;
+  }
+
   /**
    * Remove dead code (unused variables and unreachable code)
    * @param {IntermediateInstruction[]} instructions The intermediate instructions
@@ -150,16 +377,16 @@ class Optimizer {
     
     // First pass: collect used variables and jump targets
     for (const instr of instructions) {
-      if (instr.op === 'OUTPUT' || instr.op === 'ASSIGN') {
-        // Output and assignments use variables
-        for (let i = 1; i < instr.args.length; i++) {
-          if (this.isVariable(instr.args[i])) {
-            usedVars.add(instr.args[i]);
-          }
-        }
-      } else if (instr.op === 'JUMP' || instr.op === 'JUMP_IF_FALSE') {
+      if (instr.op === 'JUMP' || instr.op === 'JUMP_IF_FALSE') {
         // Collect jump targets
         jumpTargets.add(instr.args[instr.args.length - 1]);
+      } else if (instr.op !== 'DECLARE') {
+        // Any operand of any other instruction counts as a use
+        for (const arg of instr.args) {
+          if (this.isVariable(arg)) {
+            usedVars.add(arg);
+          }
+        }
       }
     }
     
@@ -168,13 +395,16 @@ class Optimizer {
     for (let i = 0; i < instructions.length; i++) {
       const instr = instructions[i];
       
-      // Reset reachability at labels that are jump targets
-      if (instr.op === 'LABEL' && jumpTargets.has(instr.args[0])) {
+      // Reset reachability at labels that are jump targets and at function boundaries
+      if ((instr.op === 'LABEL' && jumpTargets.has(instr.args[0])) ||
+          this.isSwitchLabel(instr.op) ||
+          instr.op === 'FUNC_BEGIN' || instr.op === 'FUNC_END' || instr.op === 'MAIN_BEGIN') {
         reachable = true;
       }
       
-      // If the current instruction is unreachable, skip it
-      if (!reachable && instr.op !== 'LABEL') {
+      // If the current instruction is unreachable, skip it, but keep the
+      // scopes and declarations the generated code is structured around
+      if (!reachable && !this.isStructural(instr.op)) {
         continue;
       }
       
@@ -194,6 +424,26 @@ class Optimizer {
     return result;
   }
 
+  /**
+   * Check if an operation shapes the generated code rather than computing anything
+   * @param {string} op The operation
+   * @returns {boolean} True if the operation must survive dead code removal
+   */
+  isStructural(op) {
+    return op === 'LABEL' || op === 'SCOPE_BEGIN' || op === 'SCOPE_END' ||
+           op === 'DECLARE' || op === 'DECLARE_INIT' || op === 'DECLARE_ARRAY' ||
+           op === 'DECLARE_CONST' || op === 'SWITCH_BEGIN' || op === 'SWITCH_END';
+  }
+
+  /**
+   * Check if an operation is a point a switch can enter or leave through
+   * @param {string} op The operation
+   * @returns {boolean} True for case labels, the default label and the switch end
+   */
+  isSwitchLabel(op) {
+    return op === 'CASE' || op === 'DEFAULT' || op === 'SWITCH_END';
+  }
+
   /**
    * Optimize control flow (eliminate unnecessary jumps and labels)
    * @param {IntermediateInstruction[]} instructions The intermediate instructions
@@ -202,10 +452,16 @@ class Optimizer {
   optimizeControlFlow(instructions) {
     const result = [];
     const usedLabels = new Set();
+
+    // Scopes emptied by dead code removal go first, which can leave a jump
+    // right in front of its label
+    instructions = this.removeEmptyScopes(instructions);
     
     // First pass: collect used labels
-    for (const instr of instructions) {
-      if (instr.op === 'JUMP' || instr.op === 'JUMP_IF_FALSE') {
+    for (let i = 0; i < instructions.length; i++) {
+      const instr = instructions[i];
+      if ((instr.op === 'JUMP' && !this.isJumpToNext(instructions, i)) ||
+          instr.op === 'JUMP_IF_FALSE') {
         usedLabels.add(instr.args[instr.args.length - 1]);
       }
     }
@@ -220,9 +476,7 @@ class Optimizer {
       }
       
       // Jump to the next instruction can be eliminated
-      if (instr.op === 'JUMP' && i + 1 < instructions.length && 
-          instructions[i + 1].op === 'LABEL' && 
-          instr.args[0] === instructions[i + 1].args[0]) {
+      if (this.isJumpToNext(instructions, i)) {
         continue;
       }
       
@@ -252,56 +506,77 @@ class Optimizer {
     return result;
   }
 
+  /**
+   * Remove scopes that contain nothing
+   * @param {IntermediateInstruction[]} instructions The intermediate instructions
+   * @returns {IntermediateInstruction[]} The instructions without empty scopes
+   */
+  removeEmptyScopes(instructions) {
+    const result = [];
+    for (const instr of instructions) {
+      if (instr.op === 'SCOPE_END' && result.length > 0 &&
+          result[result.length - 1].op === 'SCOPE_BEGIN') {
+        result.pop();
+        continue;
+      }
+      result.push(instr);
+    }
+    return result;
+  }
+
+  /**
+   * Check if the instruction at an index is a jump to one of the labels right after it
+   * @param {IntermediateInstruction[]} instructions The intermediate instructions
+   * @param {number} i The index of the instruction
+   * @returns {boolean} True if the jump has no effect
+   */
+  isJumpToNext(instructions, i) {
+    if (instructions[i].op !== 'JUMP') return false;
+    for (let j = i + 1; j < instructions.length && instructions[j].op === 'LABEL'; j++) {
+      if (instructions[j].args[0] === instructions[i].args[0]) return true;
+    }
+    return false;
+  }
+
   /**
    * Check if an operation is an arithmetic operation
    * @param {string} op The operation
    * @returns {boolean} True if the operation is arithmetic
    */
   isArithmeticOp(op) {
-    return op === 'ADD' || op === 'SUB' || op === 'MUL' || op === 'DIV' ||
+    return op === 'ADD' || op === 'SUB' || op === 'MUL' || op === 'DIV' || op === 'MOD' ||
            op === 'EQ' || op === 'NEQ' || op === 'LT' || op === 'GT' ||
-           op === 'LE' || op === 'GE';
+           op === 'LE' || op === 'GE' || op === 'AND' || op === 'OR' ||
+           op === 'BIT_AND' || op === 'BIT_OR' || op === 'BIT_XOR' ||
+           op === 'SHL' || op === 'SHR';
   }
 
   /**
    * Check if a value is a constant
-   * @param {string} value The value
+   * @param {*} value The value
    * @returns {boolean} True if the value is a constant
    */
   isConstant(value) {
-    if (typeof value !== 'string') {
-      return false;
-    }
-    
-    // Check if it's a numeric literal, string literal, or character literal
-    return /^-?\d+(\.\d+)?$/.test(value) ||  // Numeric literal
-           /^".*"$/.test(value) ||           // String literal
-           /^'.'$/.test(value);              // Character literal
+    return value instanceof Constant;
   }
 
   /**
    * Get the value of a constant
-   * @param {string} value The constant
-   * @returns {number|string} The value of the constant
+   * @param {Constant} value The constant
+   * @returns {number|string|boolean} The value of the constant
    */
   getConstantValue(value) {
-    if (/^-?\d+$/.test(value)) {
-      return parseInt(value, 10);
-    } else if (/^-?\d+\.\d+$/.test(value)) {
-      return parseFloat(value);
-    } else if (/^".*"$/.test(value)) {
-      if (value.length <= 2) {
-        return "";
-      }
-      return value.slice(1, -1);
-    } else if (/^'.'$/.test(value)) {
-      if (value.length <= 2) {
-        return "";
-      }
-      return value.slice(1, -1);
-    }
-    
-    return value;
+    return value.value;
+  }
+
+  /**
+   * Make a constant operand of a folded value
+   * @param {number|string|boolean} value The folded value
+   * @param {string} type The C++ type of the value
+   * @returns {Constant} The constant
+   */
+  toConstant(value, type) {
+    return new Constant(value, type);
   }
 
   /**
@@ -2,6 +2,10 @@ const { TokenType, Token } = require("./token");
 const {
   Program,
   VariableDeclaration,
+  ArrayDeclaration,
+  FunctionDeclaration,
+  Parameter,
+  ReturnStatement,
   ExpressionStatement,
   IfStatement,
   BlockStatement,
@@ -9,12 +13,27 @@ const {
   BinaryExpression,
   UnaryExpression,
   AssignmentExpression,
+  IndexAssignmentExpression,
+  UpdateExpression,
+  ConditionalExpression,
   VariableExpression,
   LiteralExpression,
+  IndexExpression,
+  CallExpression,
+  CastExpression,
   InputExpression,
   OutputExpression,
+  OutputValue,
+  DoWhileStatement,
+  SwitchStatement,
+  SwitchCase,
+  BreakStatement,
+  ContinueStatement,
 } = require("./ast");
 
+// The largest value of a sahih, a 32-bit int
+const SAHIH_MAX = 2147483647;
+
 /**
  * Parser class for syntax analysis
  * Converts tokens into an abstract syntax tree (AST)
@@ -32,18 +51,11 @@ class Parser {
   parse() {
     const statements = [];
 
-    // Skip any comments at the start of the file
-    while (!this.isAtEnd() && this.check(TokenType.COMMENT)) {
-      this.advance();
-    }
-
     while (!this.isAtEnd()) {
-      // Skip any comments between statements
-      while (this.check(TokenType.COMMENT)) {
-        this.advance();
-      }
-
-      if (!this.isAtEnd()) {
+      const doc = this.peek().doc;
+      if (this.match(TokenType.TABE)) {
+        statements.push(this.documented(this.functionDeclaration(), doc));
+      } else if (!this.isAtEnd()) {
         statements.push(this.statement());
       }
     }
@@ -56,27 +68,43 @@ class Parser {
    * @returns {ASTNode} Statement node
    */
   statement() {
-    // Skip any comments before the statement
-    while (this.check(TokenType.COMMENT)) {
-      this.advance();
+    const doc = this.peek().doc;
+
+    if (this.matchType()) {
+      return this.documented(this.variableDeclaration(), doc);
     }
 
-    if (this.match(TokenType.SAHIH, TokenType.ASHAR, TokenType.HARF)) {
-      return this.variableDeclaration();
+    if (this.match(TokenType.SABET)) {
+      return this.documented(this.constantDeclaration(), doc);
+    }
+
+    if (this.match(TokenType.TABE)) {
+      this.error(
+        this.previous(),
+        "Functions can only be declared at the top level."
+      );
+    }
+
+    if (this.match(TokenType.BARGARDAN)) {
+      return this.returnStatement();
     }
 
     if (this.match(TokenType.BEGIR)) {
       return this.inputStatement();
     }
 
-    if (this.match(TokenType.BENVIS)) {
+    if (this.match(TokenType.BENVIS, TokenType.CHAP)) {
       return this.outputStatement();
     }
 
-    if (this.match(TokenType.AGE, TokenType.VALI, TokenType.VAGARNA)) {
+    if (this.match(TokenType.AGE)) {
       return this.ifStatement();
     }
 
+    if (this.match(TokenType.VALI, TokenType.VAGARNA)) {
+      this.error(this.previous(), `'${this.previous().value}' without a matching 'age'.`);
+    }
+
     if (this.match(TokenType.BARAYE)) {
       return this.forStatement();
     }
@@ -85,6 +113,26 @@ class Parser {
       return this.whileStatement();
     }
 
+    if (this.match(TokenType.ANJAM)) {
+      return this.doWhileStatement();
+    }
+
+    if (this.match(TokenType.ENTEKHAB)) {
+      return this.switchStatement();
+    }
+
+    if (this.match(TokenType.SHEKAST)) {
+      const keyword = this.previous();
+      this.consume(TokenType.SEMICOLON, "Expect ';' after 'shekast'.");
+      return new BreakStatement(keyword.line, keyword.column);
+    }
+
+    if (this.match(TokenType.EDAME)) {
+      const keyword = this.previous();
+      this.consume(TokenType.SEMICOLON, "Expect ';' after 'edame'.");
+      return new ContinueStatement(keyword.line, keyword.column);
+    }
+
     if (this.match(TokenType.LEFT_BRACE)) {
       return this.blockStatement();
     }
@@ -92,6 +140,17 @@ class Parser {
     return this.expressionStatement();
   }
 
+  /**
+   * Attach the documentation comment written before a declaration
+   * @param {ASTNode} declaration The declaration node
+   * @param {string|null} doc The comment's text, or null if there is none
+   * @returns {ASTNode} The declaration node
+   */
+  documented(declaration, doc) {
+    declaration.doc = doc;
+    return declaration;
+  }
+
   /**
    * Parse a variable declaration
    * @returns {VariableDeclaration} Variable declaration node
@@ -100,6 +159,10 @@ class Parser {
     const type = this.previous();
     const name = this.consume(TokenType.IDENTIFIER, "Expect variable name.");
 
+    if (this.match(TokenType.LEFT_BRACKET)) {
+      return this.arrayDeclaration(type, name);
+    }
+
     let initializer = null;
     if (this.match(TokenType.EQUAL)) {
       initializer = this.expression();
@@ -115,6 +178,132 @@ class Parser {
     );
   }
 
+  /**
+   * Parse a constant declaration (sabet)
+   * @returns {VariableDeclaration} Variable declaration node marked constant
+   */
+  constantDeclaration() {
+    if (!this.matchType()) {
+      this.error(this.peek(), "Expect type after 'sabet'.");
+    }
+    const type = this.previous();
+    const name = this.consume(TokenType.IDENTIFIER, "Expect constant name.");
+    this.consume(TokenType.EQUAL, "Expect '=' after constant name; constants must be initialized.");
+    const initializer = this.expression();
+    this.consume(TokenType.SEMICOLON, "Expect ';' after constant declaration.");
+    return new VariableDeclaration(
+      type.type,
+      name.value,
+      initializer,
+      name.line,
+      name.column,
+      true
+    );
+  }
+
+  /**
+   * Parse the rest of an array declaration after its '['
+   * @param {Token} type The element type token
+   * @param {Token} name The array name token
+   * @returns {ArrayDeclaration} Array declaration node
+   */
+  arrayDeclaration(type, name) {
+    // The size may be any constant expression, which the semantic analyzer evaluates
+    const size = this.expression();
+    this.consume(TokenType.RIGHT_BRACKET, "Expect ']' after array size.");
+
+    let elements = null;
+    if (this.match(TokenType.EQUAL)) {
+      this.consume(
+        TokenType.LEFT_BRACE,
+        "Expect '{' before array initializer."
+      );
+      elements = [];
+      if (!this.check(TokenType.RIGHT_BRACE)) {
+        do {
+          elements.push(this.expression());
+        } while (this.match(TokenType.COMMA));
+      }
+      this.consume(
+        TokenType.RIGHT_BRACE,
+        "Expect '}' after array initializer."
+      );
+    }
+
+    this.consume(TokenType.SEMICOLON, "Expect ';' after array declaration.");
+    return new ArrayDeclaration(
+      type.type,
+      name.value,
+      size,
+      elements,
+      name.line,
+      name.column
+    );
+  }
+
+  /**
+   * Parse a function declaration
+   * @returns {FunctionDeclaration} Function declaration node
+   */
+  functionDeclaration() {
+    if (!this.matchType() && !this.match(TokenType.KHALI)) {
+      this.error(this.peek(), "Expect return type after 'tabe'.");
+    }
+    const returnType = this.previous();
+    const name = this.consume(TokenType.IDENTIFIER, "Expect function name.");
+    this.consume(TokenType.LEFT_PAREN, "Expect '(' after function name.");
+
+    const params = [];
+    if (!this.check(TokenType.RIGHT_PAREN)) {
+      do {
+        if (!this.matchType()) {
+          this.error(this.peek(), "Expect parameter type.");
+        }
+        const type = this.previous();
+        const paramName = this.consume(
+          TokenType.IDENTIFIER,
+          "Expect parameter name."
+        );
+        params.push(
+          new Parameter(
+            type.type,
+            paramName.value,
+            paramName.line,
+            paramName.column
+          )
+        );
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RIGHT_PAREN, "Expect ')' after parameters.");
+    this.consume(TokenType.LEFT_BRACE, "Expect '{' before function body.");
+    const body = this.blockStatement();
+
+    return new FunctionDeclaration(
+      returnType.type,
+      name.value,
+      params,
+      body,
+      name.line,
+      name.column
+    );
+  }
+
+  /**
+   * Parse a return statement
+   * @returns {ReturnStatement} Return statement node
+   */
+  returnStatement() {
+    const keyword = this.previous();
+    let value = null;
+    if (!this.check(TokenType.SEMICOLON)) {
+      value = this.expression();
+    }
+
+    this.consume(TokenType.SEMICOLON, "Expect ';' after return value.");
+    return new ReturnStatement(value, keyword.line, keyword.column);
+  }
+
   /**
    * Parse an input statement
    * @returns {ExpressionStatement} Expression statement with input
@@ -125,6 +314,11 @@ class Parser {
       TokenType.IDENTIFIER,
       "Expect variable name in input statement."
     );
+    let index = null;
+    if (this.match(TokenType.LEFT_BRACKET)) {
+      index = this.expression();
+      this.consume(TokenType.RIGHT_BRACKET, "Expect ']' after array index.");
+    }
     this.consume(
       TokenType.RIGHT_PAREN,
       "Expect ')' after variable name in input statement."
@@ -132,32 +326,71 @@ class Parser {
     this.consume(TokenType.SEMICOLON, "Expect ';' after input statement.");
 
     return new ExpressionStatement(
-      new InputExpression(variable.value, variable.line, variable.column),
+      new InputExpression(
+        variable.value,
+        index,
+        variable.line,
+        variable.column
+      ),
       variable.line,
       variable.column
     );
   }
 
   /**
-   * Parse an output statement
+   * Parse an output statement; 'benvis' ends the line after its values and
+   * 'chap' does not
    * @returns {ExpressionStatement} Expression statement with output
    */
   outputStatement() {
-    this.consume(TokenType.LEFT_PAREN, "Expect '(' after 'benvis'.");
-    const expr = this.expression();
+    const keyword = this.previous();
+    this.consume(TokenType.LEFT_PAREN, `Expect '(' after '${keyword.value}'.`);
+
+    const values = [];
+    if (!this.check(TokenType.RIGHT_PAREN)) {
+      do {
+        values.push(this.outputValue());
+      } while (this.match(TokenType.COMMA));
+    }
+
     this.consume(
       TokenType.RIGHT_PAREN,
-      "Expect ')' after expression in output statement."
+      "Expect ')' after values in output statement."
     );
     this.consume(TokenType.SEMICOLON, "Expect ';' after output statement.");
 
     return new ExpressionStatement(
-      new OutputExpression(expr, expr.line, expr.column),
-      expr.line,
-      expr.column
+      new OutputExpression(
+        values,
+        keyword.type === TokenType.BENVIS,
+        keyword.line,
+        keyword.column
+      ),
+      keyword.line,
+      keyword.column
     );
   }
 
+  /**
+   * Parse one value of an output statement, optionally followed by ':width'
+   * and then ':precision', as in benvis(x:8:2)
+   * @returns {OutputValue} Output value node
+   */
+  outputValue() {
+    const expr = this.expression();
+
+    let width = null;
+    let precision = null;
+    if (this.match(TokenType.COLON)) {
+      width = this.expression();
+      if (this.match(TokenType.COLON)) {
+        precision = this.expression();
+      }
+    }
+
+    return new OutputValue(expr, width, precision, expr.line, expr.column);
+  }
+
   /**
    * Parse an if statement
    * @returns {IfStatement} If statement node
@@ -203,7 +436,7 @@ class Parser {
 
     // Parse initializer
     let initializer;
-    if (this.match(TokenType.SAHIH, TokenType.ASHAR, TokenType.HARF)) {
+    if (this.matchType()) {
       initializer = this.variableDeclaration();
     } else {
       initializer = this.expressionStatement();
@@ -244,15 +477,7 @@ class Parser {
     const column = this.previous().column;
 
     while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-      
-      // Skip any comments inside blocks
-      while (this.check(TokenType.COMMENT)) {
-        this.advance();
-      }
-
-      if (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-        statements.push(this.statement());
-      }
+      statements.push(this.statement());
     }
 
     this.consume(TokenType.RIGHT_BRACE, "Expect '}' after block.");
@@ -275,29 +500,96 @@ class Parser {
    * @returns {ASTNode} Expression node
    */
   expression() {
-    // Skip any comments before the expression
-    while (this.check(TokenType.COMMENT)) {
-      this.advance();
-    }
+    const expr = this.conditional();
 
-    // If it's an assignment
-    if (this.checkNext(TokenType.EQUAL)) {
-      const variable = this.consume(
-        TokenType.IDENTIFIER,
-        "Expect variable name."
-      );
-      this.consume(TokenType.EQUAL, "Expect '=' after variable name.");
+    // If it's an assignment, the left side must be a variable or array element
+    if (
+      this.match(
+        TokenType.EQUAL,
+        TokenType.PLUS_EQUAL,
+        TokenType.MINUS_EQUAL,
+        TokenType.MULTIPLY_EQUAL,
+        TokenType.DIVIDE_EQUAL,
+        TokenType.MODULO_EQUAL
+      )
+    ) {
+      const equals = this.previous();
       const value = this.expression();
+      const operator = this.compoundOperator(equals);
+
+      if (expr instanceof VariableExpression) {
+        return new AssignmentExpression(
+          expr.name,
+          value,
+          expr.line,
+          expr.column,
+          operator
+        );
+      }
 
-      return new AssignmentExpression(
-        variable.value,
-        value,
-        variable.line,
-        variable.column
+      if (expr instanceof IndexExpression) {
+        return new IndexAssignmentExpression(
+          expr.name,
+          expr.index,
+          value,
+          expr.line,
+          expr.column,
+          operator
+        );
+      }
+
+      this.error(equals, "Invalid assignment target.");
+    }
+
+    return expr;
+  }
+
+  /**
+   * Get the arithmetic operator a compound assignment applies
+   * @param {Token} equals The assignment token ('=', '+=', ...)
+   * @returns {Token|null} The operator token, or null for a plain '='
+   */
+  compoundOperator(equals) {
+    const operators = {
+      [TokenType.PLUS_EQUAL]: TokenType.PLUS,
+      [TokenType.MINUS_EQUAL]: TokenType.MINUS,
+      [TokenType.MULTIPLY_EQUAL]: TokenType.MULTIPLY,
+      [TokenType.DIVIDE_EQUAL]: TokenType.DIVIDE,
+      [TokenType.MODULO_EQUAL]: TokenType.MODULO,
+    };
+
+    if (!operators[equals.type]) return null;
+
+    return new Token(
+      operators[equals.type],
+      equals.value.slice(0, -1),
+      equals.line,
+      equals.column
+    );
+  }
+
+  /**
+   * Parse conditional expressions (condition ? a : b), which group to the right
+   * @returns {ASTNode} Expression node
+   */
+  conditional() {
+    const condition = this.logical();
+
+    if (this.match(TokenType.QUESTION)) {
+      const question = this.previous();
+      const thenBranch = this.expression();
+      this.consume(TokenType.COLON, "Expect ':' in conditional expression.");
+      const elseBranch = this.conditional();
+      return new ConditionalExpression(
+        condition,
+        thenBranch,
+        elseBranch,
+        question.line,
+        question.column
       );
     }
 
-    return this.logical();
+    return condition;
   }
 
   /**
@@ -327,9 +619,76 @@ class Parser {
    * @returns {ASTNode} Expression node
    */
   equality() {
-    let expr = this.comparison();
+    let expr = this.bitwiseOr();
 
     while (this.match(TokenType.EQUAL_EQUAL, TokenType.NOT_EQUAL)) {
+      const operator = this.previous();
+      const right = this.bitwiseOr();
+      expr = new BinaryExpression(
+        expr,
+        operator,
+        right,
+        operator.line,
+        operator.column
+      );
+    }
+
+    return expr;
+  }
+
+  /**
+   * Parse bitwise or expressions (|). Unlike C, the bitwise operators bind
+   * tighter than equality, so 'x & 1 == 0' tests the low bit
+   * @returns {ASTNode} Expression node
+   */
+  bitwiseOr() {
+    let expr = this.bitwiseXor();
+
+    while (this.match(TokenType.PIPE)) {
+      const operator = this.previous();
+      const right = this.bitwiseXor();
+      expr = new BinaryExpression(
+        expr,
+        operator,
+        right,
+        operator.line,
+        operator.column
+      );
+    }
+
+    return expr;
+  }
+
+  /**
+   * Parse bitwise xor expressions (^)
+   * @returns {ASTNode} Expression node
+   */
+  bitwiseXor() {
+    let expr = this.bitwiseAnd();
+
+    while (this.match(TokenType.CARET)) {
+      const operator = this.previous();
+      const right = this.bitwiseAnd();
+      expr = new BinaryExpression(
+        expr,
+        operator,
+        right,
+        operator.line,
+        operator.column
+      );
+    }
+
+    return expr;
+  }
+
+  /**
+   * Parse bitwise and expressions (&)
+   * @returns {ASTNode} Expression node
+   */
+  bitwiseAnd() {
+    let expr = this.comparison();
+
+    while (this.match(TokenType.AMPERSAND)) {
       const operator = this.previous();
       const right = this.comparison();
       expr = new BinaryExpression(
@@ -349,7 +708,7 @@ class Parser {
    * @returns {ASTNode} Expression node
    */
   comparison() {
-    let expr = this.term();
+    let expr = this.shift();
 
     while (
       this.match(
@@ -359,6 +718,28 @@ class Parser {
         TokenType.GREATER_EQUAL
       )
     ) {
+      const operator = this.previous();
+      const right = this.shift();
+      expr = new BinaryExpression(
+        expr,
+        operator,
+        right,
+        operator.line,
+        operator.column
+      );
+    }
+
+    return expr;
+  }
+
+  /**
+   * Parse shift expressions (<<, >>)
+   * @returns {ASTNode} Expression node
+   */
+  shift() {
+    let expr = this.term();
+
+    while (this.match(TokenType.LESS_LESS, TokenType.GREATER_GREATER)) {
       const operator = this.previous();
       const right = this.term();
       expr = new BinaryExpression(
@@ -396,13 +777,13 @@ class Parser {
   }
 
   /**
-   * Parse factor expressions (*, /)
+   * Parse factor expressions (*, /, %)
    * @returns {ASTNode} Expression node
    */
   factor() {
     let expr = this.unary();
 
-    while (this.match(TokenType.MULTIPLY, TokenType.DIVIDE)) {
+    while (this.match(TokenType.MULTIPLY, TokenType.DIVIDE, TokenType.MODULO)) {
       const operator = this.previous();
       const right = this.unary();
       expr = new BinaryExpression(
@@ -418,12 +799,26 @@ class Parser {
   }
 
   /**
-   * Parse unary expressions (-, !)
+   * Parse unary expressions (-, !, ~, prefix ++ and --)
    * @returns {ASTNode} Expression node
    */
   unary() {
-    if (this.match(TokenType.MINUS) || this.match(TokenType.BANG)) {
+    if (this.match(TokenType.MINUS, TokenType.BANG, TokenType.TILDE)) {
       const operator = this.previous();
+      // The smallest sahih is the negation of a literal one past the largest
+      if (
+        operator.type === TokenType.MINUS &&
+        this.check(TokenType.INTEGER) &&
+        this.peek().value === SAHIH_MAX + 1
+      ) {
+        const literal = this.advance();
+        return new LiteralExpression(
+          -literal.value,
+          TokenType.INTEGER,
+          operator.line,
+          operator.column
+        );
+      }
       const right = this.unary();
       return new UnaryExpression(
         operator,
@@ -433,21 +828,60 @@ class Parser {
       );
     }
 
-    return this.primary();
+    if (this.match(TokenType.PLUS_PLUS, TokenType.MINUS_MINUS)) {
+      const operator = this.previous();
+      const target = this.unary();
+      return this.updateExpression(operator, target, true);
+    }
+
+    return this.postfix();
   }
 
   /**
-   * Parse primary expressions (literals, parentheses, identifiers)
+   * Parse postfix expressions (x++, x--)
    * @returns {ASTNode} Expression node
    */
-  primary() {
-    // Skip any comments before the primary expression
-    while (this.check(TokenType.COMMENT)) {
-      this.advance();
+  postfix() {
+    const expr = this.primary();
+
+    if (this.match(TokenType.PLUS_PLUS, TokenType.MINUS_MINUS)) {
+      return this.updateExpression(this.previous(), expr, false);
     }
 
+    return expr;
+  }
+
+  /**
+   * Build an increment or decrement of a variable or array element
+   * @param {Token} operator The '++' or '--' token
+   * @param {ASTNode} target The expression being updated
+   * @param {boolean} prefix True if the operator comes before the target
+   * @returns {UpdateExpression} Update expression node
+   */
+  updateExpression(operator, target, prefix) {
+    if (!(target instanceof VariableExpression) && !(target instanceof IndexExpression)) {
+      this.error(operator, `Invalid target for '${operator.value}'.`);
+    }
+
+    return new UpdateExpression(
+      operator,
+      target,
+      prefix,
+      operator.line,
+      operator.column
+    );
+  }
+
+  /**
+   * Parse primary expressions (literals, parentheses, identifiers)
+   * @returns {ASTNode} Expression node
+   */
+  primary() {
     if (this.match(TokenType.INTEGER)) {
       const token = this.previous();
+      if (token.value > SAHIH_MAX) {
+        this.error(token, `Integer literal does not fit in 'sahih' (largest is ${SAHIH_MAX}).`);
+      }
       return new LiteralExpression(
         token.value,
         TokenType.INTEGER,
@@ -486,11 +920,43 @@ class Parser {
       );
     }
 
+    if (this.match(TokenType.DOROST, TokenType.GHALAT)) {
+      const token = this.previous();
+      return new LiteralExpression(
+        token.type === TokenType.DOROST,
+        TokenType.BOOLEAN,
+        token.line,
+        token.column
+      );
+    }
+
     if (this.match(TokenType.IDENTIFIER)) {
       const token = this.previous();
+      if (this.match(TokenType.LEFT_PAREN)) {
+        return this.finishCall(token);
+      }
+      if (this.match(TokenType.LEFT_BRACKET)) {
+        const index = this.expression();
+        this.consume(TokenType.RIGHT_BRACKET, "Expect ']' after array index.");
+        return new IndexExpression(
+          token.value,
+          index,
+          token.line,
+          token.column
+        );
+      }
       return new VariableExpression(token.value, token.line, token.column);
     }
 
+    // A type name applied like a function converts its argument: sahih(x)
+    if (this.match(TokenType.SAHIH, TokenType.ASHAR, TokenType.HARF)) {
+      const type = this.previous();
+      this.consume(TokenType.LEFT_PAREN, `Expect '(' after '${type.value}' in conversion.`);
+      const expr = this.expression();
+      this.consume(TokenType.RIGHT_PAREN, "Expect ')' after conversion argument.");
+      return new CastExpression(type.type, expr, type.line, type.column);
+    }
+
     if (this.match(TokenType.LEFT_PAREN)) {
       const expr = this.expression();
       this.consume(TokenType.RIGHT_PAREN, "Expect ')' after expression.");
@@ -504,6 +970,28 @@ class Parser {
     this.error(this.peek(), "Expect expression.");
   }
 
+  /**
+   * Parse the argument list of a function call
+   * @param {Token} callee The function name token
+   * @returns {CallExpression} Call expression node
+   */
+  finishCall(callee) {
+    const args = [];
+    if (!this.check(TokenType.RIGHT_PAREN)) {
+      do {
+        args.push(this.expression());
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RIGHT_PAREN, "Expect ')' after arguments.");
+    return new CallExpression(
+      callee.value,
+      args,
+      callee.line,
+      callee.column
+    );
+  }
+
   /**
    * Check if the current token matches any of the given types
    * @param {...TokenType} types Token types to match
@@ -521,24 +1009,27 @@ class Parser {
   }
 
   /**
-   * Check if the current token is of the given type
-   * @param {TokenType} type Token type to check
-   * @returns {boolean} True if the current token is of the given type
+   * Match a data type keyword (sahih, ashar, harf, matn, manteghi)
+   * @returns {boolean} True if a type keyword was consumed
    */
-  check(type) {
-    if (this.isAtEnd()) return false;
-    return this.peek().type === type;
+  matchType() {
+    return this.match(
+      TokenType.SAHIH,
+      TokenType.ASHAR,
+      TokenType.HARF,
+      TokenType.MATN,
+      TokenType.MANTEGHI
+    );
   }
 
   /**
-   * Check if the next token is of the given type
+   * Check if the current token is of the given type
    * @param {TokenType} type Token type to check
-   * @returns {boolean} True if the next token is of the given type
+   * @returns {boolean} True if the current token is of the given type
    */
-  checkNext(type) {
+  check(type) {
     if (this.isAtEnd()) return false;
-    if (this.current + 1 >= this.tokens.length) return false;
-    return this.tokens[this.current + 1].type === type;
+    return this.peek().type === type;
   }
 
   /**
@@ -613,6 +1104,63 @@ class Parser {
     const body = this.statement();
     return new WhileStatement(condition, body, condition.line, condition.column);
   }
+
+  /**
+   * Parse a do-while statement (anjam ... vaghti)
+   * @returns {DoWhileStatement} Do-while statement node
+   */
+  doWhileStatement() {
+    const keyword = this.previous();
+    const body = this.statement();
+    this.consume(TokenType.VAGHTI, "Expect 'vaghti' after do-while body.");
+    this.consume(TokenType.LEFT_PAREN, "Expect '(' after 'vaghti'.");
+    const condition = this.expression();
+    this.consume(TokenType.RIGHT_PAREN, "Expect ')' after do-while condition.");
+    this.consume(TokenType.SEMICOLON, "Expect ';' after do-while statement.");
+    return new DoWhileStatement(body, condition, keyword.line, keyword.column);
+  }
+
+  /**
+   * Parse a switch statement (entekhab)
+   * @returns {SwitchStatement} Switch statement node
+   */
+  switchStatement() {
+    const keyword = this.previous();
+    this.consume(TokenType.LEFT_PAREN, "Expect '(' after 'entekhab'.");
+    const discriminant = this.expression();
+    this.consume(TokenType.RIGHT_PAREN, "Expect ')' after switch value.");
+    this.consume(TokenType.LEFT_BRACE, "Expect '{' before switch body.");
+
+    const cases = [];
+    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
+      let test = null;
+      if (this.match(TokenType.HALAT)) {
+        test = this.expression();
+        this.consume(TokenType.COLON, "Expect ':' after case value.");
+      } else if (this.match(TokenType.PISHFARZ)) {
+        this.consume(TokenType.COLON, "Expect ':' after 'pishfarz'.");
+      } else {
+        this.error(this.peek(), "Expect 'halat' or 'pishfarz' in switch body.");
+      }
+      const label = this.previous();
+
+      // A branch runs until the next label; without 'shekast' it falls through
+      const body = [];
+      while (
+        !this.check(TokenType.HALAT) &&
+        !this.check(TokenType.PISHFARZ) &&
+        !this.check(TokenType.RIGHT_BRACE) &&
+        !this.isAtEnd()
+      ) {
+        body.push(this.statement());
+      }
+
+      cases.push(new SwitchCase(test, body, label.line, label.column));
+    }
+
+    this.consume(TokenType.RIGHT_BRACE, "Expect '}' after switch body.");
+    return new SwitchStatement(discriminant, cases, keyword.line, keyword.column);
+  }
 }
 
 module.exports = Parser;
@@ -0,0 +1,49 @@
+/**
+ * Scope
+ * One level of the symbol table, chained to the scope that encloses it
+ */
+class Scope {
+  /**
+   * @param {Scope|null} parent The enclosing scope, or null for an outermost scope
+   */
+  constructor(parent = null) {
+    this.parent = parent;
+    this.symbols = new Map();
+  }
+
+  /**
+   * Add a symbol to this scope
+   * @param {string} name The symbol name
+   * @param {Object} symbol The symbol ({ name, type, size?, line })
+   * @returns {Object} The declared symbol
+   */
+  declare(name, symbol) {
+    this.symbols.set(name, symbol);
+    return symbol;
+  }
+
+  /**
+   * Check if a name is declared in this scope itself
+   * @param {string} name The symbol name
+   * @returns {boolean} True if this scope declares the name
+   */
+  has(name) {
+    return this.symbols.has(name);
+  }
+
+  /**
+   * Find a symbol in this scope or the nearest enclosing scope declaring it
+   * @param {string} name The symbol name
+   * @returns {Object|null} The symbol, or null if the name is not visible
+   */
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.symbols.has(name)) {
+        return scope.symbols.get(name);
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = Scope;
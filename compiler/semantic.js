@@ -1,11 +1,36 @@
+const Builtins = require('./builtins');
+const ReservedNames = require('./reserved');
+const Scope = require('./scope');
+
+// Largest finite float; C++ holds an 'ashar' in a float
+const ASHAR_MAX = 3.4028234663852886e38;
+
 /**
  * Semantic Analyzer
  * Checks the AST for semantic errors
  */
 class SemanticAnalyzer {
-  constructor() {
-    this.variables = new Map();
+  /**
+   * @param {Object} options Analyzer options
+   * @param {boolean} options.warnShadowing Warn when a declaration hides an outer one (default true)
+   */
+  constructor(options = {}) {
+    this.scope = new Scope();
+    this.globalScope = this.scope;
+    // Constants of the outermost scope, which function bodies can also see
+    this.globalConstants = new Scope();
+    this.warnShadowing = options.warnShadowing !== false;
+    this.functions = new Map(Object.entries(Builtins));
+    this.currentFunction = null;
+    // Symbols definitely assigned at the current point; null where the
+    // current point cannot be reached, so every variable counts as assigned
+    this.assigned = new Set();
+    // Assignment states at the 'shekast'/'edame' jumps of enclosing loops and switches
+    this.jumpTargets = [];
+    // The expression whose value is thrown away, such as a statement's
+    this.discarded = null;
     this.errors = [];
+    this.warnings = [];
   }
 
   /**
@@ -28,6 +53,13 @@ class SemanticAnalyzer {
    * @param {Program} program The Program node
    */
   visitProgram(program) {
+    // Register every function first so calls may precede the definition
+    program.statements.forEach(statement => {
+      if (statement.constructor.name === "FunctionDeclaration") {
+        this.declareFunction(statement);
+      }
+    });
+
     program.statements.forEach(statement => {
       this.visitStatement(statement);
     });
@@ -40,6 +72,13 @@ class SemanticAnalyzer {
   visitStatement(statement) {
     if (statement.constructor.name === "VariableDeclaration") {
       this.visitVariableDeclaration(statement);
+    } else if (statement.constructor.name === "ArrayDeclaration") {
+      this.visitArrayDeclaration(statement);
+    } else if (statement.constructor.name === "FunctionDeclaration") {
+      this.visitFunctionDeclaration(statement);
+    } else if (statement.constructor.name === "ReturnStatement") {
+      this.visitReturnStatement(statement);
+      this.assigned = null;
     } else if (statement.constructor.name === "ExpressionStatement") {
       this.visitExpressionStatement(statement);
     } else if (statement.constructor.name === "IfStatement") {
@@ -50,6 +89,14 @@ class SemanticAnalyzer {
       this.visitForStatement(statement);
     } else if (statement.constructor.name === "WhileStatement") {
       this.visitWhileStatement(statement);
+    } else if (statement.constructor.name === "DoWhileStatement") {
+      this.visitDoWhileStatement(statement);
+    } else if (statement.constructor.name === "SwitchStatement") {
+      this.visitSwitchStatement(statement);
+    } else if (statement.constructor.name === "BreakStatement") {
+      this.visitLoopJump(statement, 'shekast');
+    } else if (statement.constructor.name === "ContinueStatement") {
+      this.visitLoopJump(statement, 'edame');
     }
   }
 
@@ -58,32 +105,221 @@ class SemanticAnalyzer {
    * @param {VariableDeclaration} declaration The VariableDeclaration node
    */
   visitVariableDeclaration(declaration) {
-    // Check if the variable is already declared
-    if (this.variables.has(declaration.name)) {
-      this.addError(
-        `Variable '${declaration.name}' is already declared`,
-        declaration.line
-      );
-    }
-    
     // Add the variable to the scope
-    this.variables.set(declaration.name, {
+    const variable = this.declareVariable(declaration, {
       type: declaration.type,
-      initialized: declaration.initializer !== null
+      constant: declaration.constant
     });
     
     // Check the initializer if it exists
     if (declaration.initializer) {
       this.visitExpression(declaration.initializer);
+      this.markAssigned(variable);
+
+      // A constant's value must be known at compile time
+      if (declaration.constant) {
+        const value = this.evaluateConstant(declaration.initializer);
+        if (value === undefined) {
+          this.addError(
+            `Value of constant '${declaration.name}' must be a compile-time constant expression`,
+            declaration.line
+          );
+        } else {
+          variable.value = value;
+          if (this.scope === this.globalScope) {
+            this.globalConstants.declare(declaration.name, variable);
+          }
+        }
+      }
       
       // Type checking for initialization
       const initializerType = this.getExpressionType(declaration.initializer);
       if (initializerType && !this.isTypeCompatible(declaration.type, initializerType)) {
         this.addError(
-          `Cannot initialize variable of type '${declaration.type}' with a value of type '${initializerType}'`,
+          `Cannot initialize variable of type '${declaration.type}' with a value of type '${initializerType}'` +
+            this.conversionHint(declaration.type, initializerType),
           declaration.line
         );
+      } else {
+        this.checkFloatRange(declaration.type, declaration.initializer);
+      }
+    }
+  }
+
+  /**
+   * Visit an ArrayDeclaration node
+   * @param {ArrayDeclaration} declaration The ArrayDeclaration node
+   */
+  visitArrayDeclaration(declaration) {
+    this.visitExpression(declaration.sizeExpression);
+    const size = this.evaluateConstant(declaration.sizeExpression);
+    if (!this.isInteger(this.getExpressionType(declaration.sizeExpression)) || !Number.isInteger(size)) {
+      this.addError(
+        `Size of array '${declaration.name}' must be a constant 'sahih'`,
+        declaration.line
+      );
+    } else if (size <= 0) {
+      this.addError(
+        `Array '${declaration.name}' must have a positive size`,
+        declaration.line
+      );
+    } else {
+      declaration.size = size;
+    }
+
+    // Array elements are zero-initialized, so the array is always assigned
+    // and never needs tracking
+    this.declareVariable(declaration, {
+      type: declaration.type,
+      size: declaration.size
+    });
+
+    if (!declaration.elements) return;
+
+    if (declaration.size !== null && declaration.elements.length > declaration.size) {
+      this.addError(
+        `Too many initializers for array '${declaration.name}' of size ${declaration.size}`,
+        declaration.line
+      );
+    }
+
+    declaration.elements.forEach(element => {
+      this.visitExpression(element);
+      const elementType = this.getExpressionType(element);
+      if (elementType && !this.isTypeCompatible(declaration.type, elementType)) {
+        this.addError(
+          `Cannot initialize an element of array '${declaration.name}' of type '${declaration.type}' with a value of type '${elementType}'` +
+            this.conversionHint(declaration.type, elementType),
+          element.line
+        );
+      } else {
+        this.checkFloatRange(declaration.type, element);
       }
+    });
+  }
+
+  /**
+   * Add a function signature to the function table
+   * @param {FunctionDeclaration} declaration The FunctionDeclaration node
+   */
+  declareFunction(declaration) {
+    if (Builtins[declaration.name]) {
+      this.addError(
+        `Cannot redefine built-in function '${declaration.name}'`,
+        declaration.line
+      );
+      return;
+    }
+
+    if (this.isReservedName(declaration.name, 'Function', declaration.line)) {
+      return;
+    }
+
+    if (this.functions.has(declaration.name)) {
+      this.addError(
+        `Function '${declaration.name}' is already declared`,
+        declaration.line
+      );
+      return;
+    }
+
+    this.functions.set(declaration.name, {
+      returnType: declaration.returnType,
+      params: declaration.params.map(param => param.type)
+    });
+  }
+
+  /**
+   * Visit a FunctionDeclaration node
+   * @param {FunctionDeclaration} declaration The FunctionDeclaration node
+   */
+  visitFunctionDeclaration(declaration) {
+    // Each function gets its own symbol table holding its parameters, inside
+    // one holding the program's constants; the body shares the parameters'
+    // scope, as it does in the C++ function
+    const enclosingScope = this.scope;
+    const enclosingFunction = this.currentFunction;
+    const enclosingAssigned = this.assigned;
+    const enclosingJumpTargets = this.jumpTargets;
+    this.scope = new Scope(this.globalConstants);
+    this.currentFunction = declaration;
+    this.assigned = new Set();
+    this.jumpTargets = [];
+
+    declaration.params.forEach(param => {
+      this.isReservedName(param.name, 'Parameter', param.line);
+      if (this.scope.has(param.name)) {
+        this.addError(
+          `Parameter '${param.name}' is already declared`,
+          param.line
+        );
+      }
+      this.markAssigned(this.scope.declare(param.name, {
+        name: param.name,
+        type: param.type,
+        line: param.line
+      }));
+    });
+
+    declaration.body.statements.forEach(statement => {
+      this.visitStatement(statement);
+    });
+
+    // Reaching the end of the body means some path has no 'bargardan'
+    if (declaration.returnType !== 'KHALI' && this.assigned !== null) {
+      this.addError(
+        `Not all paths of function '${declaration.name}' return a value of type '${declaration.returnType}'`,
+        declaration.line
+      );
+    }
+
+    this.scope = enclosingScope;
+    this.currentFunction = enclosingFunction;
+    this.assigned = enclosingAssigned;
+    this.jumpTargets = enclosingJumpTargets;
+  }
+
+  /**
+   * Visit a ReturnStatement node
+   * @param {ReturnStatement} statement The ReturnStatement node
+   */
+  visitReturnStatement(statement) {
+    if (!this.currentFunction) {
+      this.addError(`Cannot return from outside a function`, statement.line);
+      return;
+    }
+
+    const returnType = this.currentFunction.returnType;
+
+    if (!statement.value) {
+      if (returnType !== 'KHALI') {
+        this.addError(
+          `Function '${this.currentFunction.name}' must return a value of type '${returnType}'`,
+          statement.line
+        );
+      }
+      return;
+    }
+
+    this.visitExpression(statement.value);
+
+    if (returnType === 'KHALI') {
+      this.addError(
+        `Function '${this.currentFunction.name}' cannot return a value`,
+        statement.line
+      );
+      return;
+    }
+
+    const valueType = this.getExpressionType(statement.value);
+    if (valueType && !this.isTypeCompatible(returnType, valueType)) {
+      this.addError(
+        `Cannot return a value of type '${valueType}' from a function of type '${returnType}'` +
+          this.conversionHint(returnType, valueType),
+        statement.line
+      );
+    } else {
+      this.checkFloatRange(returnType, statement.value);
     }
   }
 
@@ -92,7 +328,18 @@ class SemanticAnalyzer {
    * @param {ExpressionStatement} statement The ExpressionStatement node
    */
   visitExpressionStatement(statement) {
-    this.visitExpression(statement.expression);
+    this.visitDiscardedExpression(statement.expression);
+  }
+
+  /**
+   * Visit an expression whose value is not used, so it may call a 'khali' function
+   * @param {ASTNode} expression The expression
+   */
+  visitDiscardedExpression(expression) {
+    const enclosingDiscarded = this.discarded;
+    this.discarded = expression;
+    this.visitExpression(expression);
+    this.discarded = enclosingDiscarded;
   }
 
   /**
@@ -112,13 +359,20 @@ class SemanticAnalyzer {
       );
     }
     
+    // A variable is assigned after the statement only if both branches assign it
+    const conditionState = this.copyAssigned();
+
     // Visit the then branch
-    this.visitStatement(statement.thenBranch);
+    this.visitBody(statement.thenBranch);
+    const thenState = this.assigned;
+    this.assigned = conditionState;
     
     // Visit the else branch if it exists
     if (statement.elseBranch) {
-      this.visitStatement(statement.elseBranch);
+      this.visitBody(statement.elseBranch);
     }
+
+    this.assigned = this.mergeAssigned(thenState, this.assigned);
   }
 
   /**
@@ -126,10 +380,136 @@ class SemanticAnalyzer {
    * @param {BlockStatement} statement The BlockStatement node
    */
   visitBlockStatement(statement) {
-    // Visit each statement in the block
+    // Visit each statement in the block in a scope of its own
+    this.beginScope();
     statement.statements.forEach(subStatement => {
       this.visitStatement(subStatement);
     });
+    this.endScope();
+  }
+
+  /**
+   * Visit the body of a conditional or loop. A body that is not a block still
+   * gets its own scope, matching the scope the generated code gives it
+   * @param {ASTNode} statement The body statement
+   */
+  visitBody(statement) {
+    if (statement.constructor.name === "BlockStatement") {
+      this.visitStatement(statement);
+      return;
+    }
+
+    this.beginScope();
+    this.visitStatement(statement);
+    this.endScope();
+  }
+
+  /**
+   * Enter a new scope nested in the current one
+   */
+  beginScope() {
+    this.scope = new Scope(this.scope);
+  }
+
+  /**
+   * Leave the current scope, dropping everything declared in it
+   */
+  endScope() {
+    this.scope = this.scope.parent;
+  }
+
+  /**
+   * Declare a variable or array in the current scope
+   * @param {VariableDeclaration|ArrayDeclaration} declaration The declaration node
+   * @param {Object} symbol The symbol's type information
+   * @returns {Object} The declared symbol
+   */
+  declareVariable(declaration, symbol) {
+    const name = declaration.name;
+    this.isReservedName(name, 'Variable', declaration.line);
+
+    if (this.scope.has(name)) {
+      this.addError(`Variable '${name}' is already declared`, declaration.line);
+      return this.scope.lookup(name);
+    }
+
+    const outer = this.scope.lookup(name);
+    if (outer && this.warnShadowing) {
+      this.addWarning(
+        `Variable '${name}' shadows a declaration on line ${outer.line}`,
+        declaration.line
+      );
+    }
+
+    return this.scope.declare(name, { name, ...symbol, line: declaration.line });
+  }
+
+  /**
+   * Report a name that cannot be used in the generated C++
+   * @param {string} name The declared name
+   * @param {string} kind 'Function', 'Parameter' or 'Variable', for the error message
+   * @param {number} line The line number for errors
+   * @returns {boolean} True if the name is reserved
+   */
+  isReservedName(name, kind, line) {
+    if (!ReservedNames.has(name)) return false;
+    this.addError(`${kind} name '${name}' is reserved in the generated C++`, line);
+    return true;
+  }
+
+  /**
+   * Record that a variable is definitely assigned from here on
+   * @param {Object} symbol The variable's symbol
+   */
+  markAssigned(symbol) {
+    if (this.assigned && symbol) {
+      this.assigned.add(symbol);
+    }
+  }
+
+  /**
+   * Check whether a variable is definitely assigned at the current point
+   * @param {Object} symbol The variable's symbol
+   * @returns {boolean} True if every path here assigns the variable
+   */
+  isAssigned(symbol) {
+    // Arrays are zero-initialized and constants are initialized where declared
+    return this.assigned === null || symbol.size !== undefined || symbol.constant ||
+      this.assigned.has(symbol);
+  }
+
+  /**
+   * Copy the current assignment state
+   * @returns {Set|null} A copy of the definitely assigned symbols
+   */
+  copyAssigned() {
+    return this.assigned && new Set(this.assigned);
+  }
+
+  /**
+   * Join the assignment states of two paths meeting at one point
+   * @param {Set|null} first The state along one path (null if unreachable)
+   * @param {Set|null} second The state along the other path (null if unreachable)
+   * @returns {Set|null} The symbols assigned along both paths
+   */
+  mergeAssigned(first, second) {
+    if (first === null) return second && new Set(second);
+    if (second === null) return new Set(first);
+    return new Set([...first].filter(symbol => second.has(symbol)));
+  }
+
+  /**
+   * Resolve a name to its symbol and attach the symbol to the node using it
+   * @param {ASTNode} expression The node referring to the name
+   * @param {string} name The name to resolve
+   * @returns {Object|null} The symbol, or null if the name is not declared
+   */
+  resolve(expression, name) {
+    const symbol = this.scope.lookup(name);
+    if (symbol) {
+      expression.symbol = symbol;
+    }
+    return symbol;
   }
 
   /**
@@ -140,11 +520,170 @@ class SemanticAnalyzer {
     // Check that the condition is a boolean expression
     this.visitExpression(statement.condition);
     const condType = this.getExpressionType(statement.condition);
-    if (!this.isBoolean(condType)) {
-      this.addError("While loop condition must be a boolean (int) expression.", statement.condition.line);
+    if (condType && !this.isBoolean(condType)) {
+      this.addError("While loop condition must be a boolean expression", statement.condition.line);
+    }
+    // The body may not run at all, so only the condition's assignments
+    // are certain after the loop
+    const conditionState = this.copyAssigned();
+    const jumps = this.visitLoopBody(statement.body);
+    this.assigned = this.loopExitState(statement.condition, conditionState, jumps);
+  }
+
+  /**
+   * Visit a DoWhileStatement node
+   * @param {DoWhileStatement} statement The DoWhileStatement node
+   */
+  visitDoWhileStatement(statement) {
+    // The body runs before the condition is first checked, so what it
+    // assigns is certain once the condition is reached
+    const jumps = this.visitLoopBody(statement.body);
+    this.assigned = jumps.continues.reduce(
+      (state, jump) => this.mergeAssigned(state, jump),
+      this.assigned
+    );
+
+    this.visitExpression(statement.condition);
+    this.assigned = this.loopExitState(statement.condition, this.assigned, jumps);
+    const condType = this.getExpressionType(statement.condition);
+    if (condType && !this.isBoolean(condType)) {
+      this.addError("Do-while loop condition must be a boolean expression", statement.condition.line);
+    }
+  }
+
+  /**
+   * Get the assignment state after a loop
+   * @param {ASTNode|null} condition The loop condition (already visited), null if there is none
+   * @param {Set|null} exitState The state where the condition is false
+   * @param {Object} jumps The states at the loop's 'shekast' and 'edame' statements
+   * @returns {Set|null} The state after the loop
+   */
+  loopExitState(condition, exitState, jumps) {
+    // A loop whose condition is always true is only left through 'shekast'
+    const alwaysTrue = !condition || this.evaluateConstant(condition) === true;
+    return jumps.breaks.reduce(
+      (state, jump) => this.mergeAssigned(state, jump),
+      alwaysTrue ? null : exitState
+    );
+  }
+
+  /**
+   * Visit a BreakStatement or ContinueStatement node
+   * @param {ASTNode} statement The BreakStatement or ContinueStatement node
+   * @param {string} keyword The keyword used, for error messages
+   */
+  visitLoopJump(statement, keyword) {
+    // 'shekast' also leaves a switch, 'edame' always belongs to a loop
+    const target = keyword === 'shekast'
+      ? this.jumpTargets[this.jumpTargets.length - 1]
+      : [...this.jumpTargets].reverse().find(t => t.continues);
+
+    if (!target) {
+      const where = keyword === 'shekast' ? "a loop or 'entekhab'" : "a loop";
+      this.addError(`'${keyword}' can only be used inside ${where}`, statement.line);
+      return;
+    }
+
+    // Record what is assigned where control leaves, then nothing follows
+    (keyword === 'shekast' ? target.breaks : target.continues).push(this.copyAssigned());
+    this.assigned = null;
+  }
+
+  /**
+   * Visit a loop body, collecting the assignment states at its jumps
+   * @param {ASTNode} body The loop body
+   * @returns {Object} The states at 'shekast' ({ breaks }) and 'edame' ({ continues })
+   */
+  visitLoopBody(body) {
+    const jumps = { breaks: [], continues: [] };
+    this.jumpTargets.push(jumps);
+    this.visitBody(body);
+    this.jumpTargets.pop();
+    return jumps;
+  }
+
+  /**
+   * Visit a SwitchStatement node
+   * @param {SwitchStatement} statement The SwitchStatement node
+   */
+  visitSwitchStatement(statement) {
+    this.visitExpression(statement.discriminant);
+    const valueType = this.getExpressionType(statement.discriminant);
+    if (valueType && !this.isIntegral(valueType)) {
+      this.addError(
+        `Switch value must be of type 'sahih' or 'harf', got '${valueType}'`,
+        statement.line
+      );
+    }
+
+    const seen = new Set();
+    let hasDefault = false;
+
+    // Each branch is entered either from the switch or by falling through
+    // from the branch above it
+    const entryState = this.copyAssigned();
+    const jumps = { breaks: [] };
+    this.assigned = null;
+
+    this.jumpTargets.push(jumps);
+    statement.cases.forEach(switchCase => {
+      if (switchCase.test === null) {
+        if (hasDefault) {
+          this.addError("Switch statement can only have one 'pishfarz' branch", switchCase.line);
+        }
+        hasDefault = true;
+      } else {
+        this.visitExpression(switchCase.test);
+        const value = this.getCaseConstant(switchCase.test);
+        switchCase.value = value;
+        const labelType = this.getExpressionType(switchCase.test);
+
+        if (value === null) {
+          this.addError("Case label must be a constant 'sahih' or 'harf' value", switchCase.line);
+        } else if (valueType && labelType && !this.isTypeCompatible(valueType, labelType)) {
+          this.addError(
+            `Case label of type '${labelType}' does not match switch value of type '${valueType}'`,
+            switchCase.line
+          );
+        } else if (seen.has(value)) {
+          // A named constant or an expression is reported by its value
+          this.addError(
+            `Duplicate case label '${this.evaluateConstant(switchCase.test)}'`,
+            switchCase.line
+          );
+        } else {
+          seen.add(value);
+        }
+      }
+
+      this.assigned = this.mergeAssigned(this.assigned, entryState);
+      this.beginScope();
+      switchCase.body.forEach(subStatement => {
+        this.visitStatement(subStatement);
+      });
+      this.endScope();
+    });
+    this.jumpTargets.pop();
+
+    // Without a default branch the switch can also be skipped entirely
+    this.assigned = jumps.breaks.reduce(
+      (state, jump) => this.mergeAssigned(state, jump),
+      hasDefault ? this.assigned : this.mergeAssigned(this.assigned, entryState)
+    );
+  }
+
+  /**
+   * Get the value of a case label if it is a constant
+   * @param {ASTNode} test The case label expression
+   * @returns {number|null} The constant value (a character as its code), or null
+   */
+  getCaseConstant(test) {
+    const value = this.evaluateConstant(test);
+    if (typeof value === 'string' && value.length === 1) {
+      return value.charCodeAt(0);
     }
-    // Analyze the body
-    this.visitStatement(statement.body);
+
+    return Number.isInteger(value) ? value : null;
   }
 
   /**
@@ -152,6 +691,9 @@ class SemanticAnalyzer {
    * @param {ForStatement} statement The ForStatement node
    */
   visitForStatement(statement) {
+    // A variable declared in the initializer is only visible inside the loop
+    this.beginScope();
+
     // Visit the initializer
     this.visitStatement(statement.initializer);
     
@@ -167,11 +709,19 @@ class SemanticAnalyzer {
       );
     }
     
-    // Visit the increment
-    this.visitExpression(statement.increment);
-    
-    // Visit the body
-    this.visitStatement(statement.body);
+    // Visit the body, which may not run at all
+    const conditionState = this.copyAssigned();
+    const jumps = this.visitLoopBody(statement.body);
+
+    // Visit the increment, reached from the end of the body or an 'edame'
+    this.assigned = jumps.continues.reduce(
+      (state, jump) => this.mergeAssigned(state, jump),
+      this.assigned
+    );
+    this.visitDiscardedExpression(statement.increment);
+
+    this.assigned = this.loopExitState(statement.condition, conditionState, jumps);
+    this.endScope();
   }
 
   /**
@@ -187,15 +737,30 @@ class SemanticAnalyzer {
       this.visitUnaryExpression(expression);
     } else if (expression.constructor.name === 'AssignmentExpression') {
       this.visitAssignmentExpression(expression);
+    } else if (expression.constructor.name === 'IndexAssignmentExpression') {
+      this.visitIndexAssignmentExpression(expression);
+    } else if (expression.constructor.name === 'UpdateExpression') {
+      this.visitUpdateExpression(expression);
+    } else if (expression.constructor.name === 'ConditionalExpression') {
+      this.visitConditionalExpression(expression);
     } else if (expression.constructor.name === 'VariableExpression') {
       this.visitVariableExpression(expression);
+    } else if (expression.constructor.name === 'IndexExpression') {
+      this.visitIndexExpression(expression);
     } else if (expression.constructor.name === 'LiteralExpression') {
       // Nothing to do for literals
+    } else if (expression.constructor.name === 'CallExpression') {
+      this.visitCallExpression(expression);
+    } else if (expression.constructor.name === 'CastExpression') {
+      this.visitCastExpression(expression);
     } else if (expression.constructor.name === 'InputExpression') {
       this.visitInputExpression(expression);
     } else if (expression.constructor.name === 'OutputExpression') {
       this.visitOutputExpression(expression);
     }
+
+    // Record the type so later phases can declare temporaries correctly
+    expression.resolvedType = this.getExpressionType(expression);
   }
 
   /**
@@ -204,23 +769,73 @@ class SemanticAnalyzer {
    */
   visitBinaryExpression(expression) {
     this.visitExpression(expression.left);
-    this.visitExpression(expression.right);
+
+    // The right operand of 'va' and 'ya' may be skipped, so what it assigns
+    // is not assigned afterwards
+    if (expression.operator.type === 'VA' || expression.operator.type === 'YA') {
+      const leftState = this.copyAssigned();
+      this.visitExpression(expression.right);
+      this.assigned = this.mergeAssigned(leftState, this.assigned);
+    } else {
+      this.visitExpression(expression.right);
+    }
     
     // Type checking for binary expressions
     const leftType = this.getExpressionType(expression.left);
     const rightType = this.getExpressionType(expression.right);
-    
+    this.checkOperands(expression.operator, leftType, rightType, expression.line);
+    this.checkConstantRange(expression, [expression.left, expression.right]);
+  }
+
+  /**
+   * Check that the operands of a binary operator have suitable types
+   * @param {Token} operator The operator token
+   * @param {string|null} leftType The type of the left operand
+   * @param {string|null} rightType The type of the right operand
+   * @param {number} line The line number for errors
+   */
+  checkOperands(operator, leftType, rightType, line) {
     if (leftType && rightType) {
       // Check for type compatibility based on the operator
-      switch (expression.operator.type) {
+      switch (operator.type) {
         case 'PLUS':
+          // '+' on a string concatenates it with another string or a character
+          if (this.isString(leftType) || this.isString(rightType)) {
+            if (!this.isTextual(leftType) || !this.isTextual(rightType)) {
+              this.addError(
+                `Cannot concatenate values of types '${leftType}' and '${rightType}'`,
+                line
+              );
+            }
+            break;
+          }
+          if (!this.isNumeric(leftType) || !this.isNumeric(rightType)) {
+            this.addError(
+              `Operator '${operator.value}' requires numeric operands`,
+              line
+            );
+          }
+          break;
         case 'MINUS':
         case 'MULTIPLY':
         case 'DIVIDE':
           if (!this.isNumeric(leftType) || !this.isNumeric(rightType)) {
             this.addError(
-              `Operator '${expression.operator.value}' requires numeric operands`,
-              expression.line
+              `Operator '${operator.value}' requires numeric operands`,
+              line
+            );
+          }
+          break;
+        case 'MODULO':
+        case 'AMPERSAND':
+        case 'PIPE':
+        case 'CARET':
+        case 'LESS_LESS':
+        case 'GREATER_GREATER':
+          if (!this.isInteger(leftType) || !this.isInteger(rightType)) {
+            this.addError(
+              `Operator '${operator.value}' requires integer operands`,
+              line
             );
           }
           break;
@@ -230,7 +845,7 @@ class SemanticAnalyzer {
           if (!this.isTypeCompatible(leftType, rightType)) {
             this.addError(
               `Cannot compare values of types '${leftType}' and '${rightType}'`,
-              expression.line
+              line
             );
           }
           break;
@@ -240,8 +855,17 @@ class SemanticAnalyzer {
         case 'GREATER_EQUAL':
           if (!this.isNumeric(leftType) || !this.isNumeric(rightType)) {
             this.addError(
-              `Operator '${expression.operator.value}' requires numeric operands`,
-              expression.line
+              `Operator '${operator.value}' requires numeric operands`,
+              line
+            );
+          }
+          break;
+        case 'VA':
+        case 'YA':
+          if (!this.isBoolean(leftType) || !this.isBoolean(rightType)) {
+            this.addError(
+              `Operator '${operator.value}' requires boolean operands`,
+              line
             );
           }
           break;
@@ -266,8 +890,52 @@ class SemanticAnalyzer {
           `Unary operator '-' requires a numeric operand`,
           expression.line
         );
+      } else if (expression.operator.type === 'BANG' && !this.isBoolean(rightType)) {
+        this.addError(
+          `Operator '${expression.operator.value}' requires a boolean operand`,
+          expression.line
+        );
+      } else if (expression.operator.type === 'TILDE' && !this.isInteger(rightType)) {
+        this.addError(
+          `Operator '~' requires an integer operand`,
+          expression.line
+        );
       }
     }
+    this.checkConstantRange(expression, [expression.right]);
+  }
+
+  /**
+   * Visit a ConditionalExpression node
+   * @param {ConditionalExpression} expression The ConditionalExpression node
+   */
+  visitConditionalExpression(expression) {
+    this.visitExpression(expression.condition);
+
+    const conditionType = this.getExpressionType(expression.condition);
+    if (conditionType && !this.isBoolean(conditionType)) {
+      this.addError(
+        `Condition of '?:' must be a boolean expression`,
+        expression.line
+      );
+    }
+
+    // Only one arm runs, so an assignment counts only if both arms make it
+    const conditionState = this.copyAssigned();
+    this.visitExpression(expression.thenBranch);
+    const thenState = this.assigned;
+    this.assigned = conditionState;
+    this.visitExpression(expression.elseBranch);
+    this.assigned = this.mergeAssigned(thenState, this.assigned);
+
+    const thenType = this.getExpressionType(expression.thenBranch);
+    const elseType = this.getExpressionType(expression.elseBranch);
+    if (thenType && elseType && !this.getCommonType(thenType, elseType)) {
+      this.addError(
+        `Branches of '?:' have incompatible types '${thenType}' and '${elseType}'`,
+        expression.line
+      );
+    }
   }
 
   /**
@@ -276,30 +944,47 @@ class SemanticAnalyzer {
    */
   visitAssignmentExpression(expression) {
     // Check if the variable is declared
-    if (!this.variables.has(expression.name)) {
+    const variable = this.resolve(expression, expression.name);
+    if (!variable) {
       this.addError(
         `Variable '${expression.name}' is not declared`,
         expression.line
       );
-    } else {
-      // Mark the variable as initialized
-      const variable = this.variables.get(expression.name);
-      variable.initialized = true;
-      this.variables.set(expression.name, variable);
+    } else if (this.isArray(expression.name)) {
+      this.addError(
+        `Array '${expression.name}' cannot be assigned without an index`,
+        expression.line
+      );
+    } else if (variable.constant) {
+      this.addError(
+        `Cannot assign to constant '${expression.name}'`,
+        expression.line
+      );
+    } else if (expression.operator) {
+      // A compound assignment reads the variable before writing it
+      this.checkAssignedBeforeRead(variable, expression);
     }
     
     this.visitExpression(expression.value);
+
+    // The variable is assigned only once the value has been computed
+    if (variable && !this.isArray(expression.name)) {
+      this.markAssigned(variable);
+    }
     
     // Type checking for assignment
-    if (this.variables.has(expression.name)) {
-      const variableType = this.variables.get(expression.name).type;
-      const valueType = this.getExpressionType(expression.value);
+    if (variable) {
+      const variableType = variable.type;
+      const valueType = this.getAssignedType(expression, variableType);
       
       if (valueType && !this.isTypeCompatible(variableType, valueType)) {
         this.addError(
-          `Cannot assign a value of type '${valueType}' to a variable of type '${variableType}'`,
+          `Cannot assign a value of type '${valueType}' to a variable of type '${variableType}'` +
+            this.conversionHint(variableType, valueType),
           expression.line
         );
+      } else if (!expression.operator) {
+        this.checkFloatRange(variableType, expression.value);
       }
     }
   }
@@ -310,39 +995,402 @@ class SemanticAnalyzer {
    */
   visitVariableExpression(expression) {
     // Check if the variable is declared
-    if (!this.variables.has(expression.name)) {
+    const variable = this.resolve(expression, expression.name);
+    if (!variable) {
       this.addError(
         `Variable '${expression.name}' is not declared`,
         expression.line
       );
+    } else if (this.isArray(expression.name)) {
+      this.addError(
+        `Array '${expression.name}' must be indexed`,
+        expression.line
+      );
     } else {
-      // Check if the variable is initialized
-      const variable = this.variables.get(expression.name);
-      if (!variable.initialized) {
+      // Check that every path to this read assigns the variable
+      this.checkAssignedBeforeRead(variable, expression);
+    }
+  }
+
+  /**
+   * Report a read of a variable that some path leaves unassigned
+   * @param {Object} variable The variable's symbol
+   * @param {ASTNode} expression The node reading the variable
+   */
+  checkAssignedBeforeRead(variable, expression) {
+    if (!this.isAssigned(variable)) {
+      this.addError(
+        `Variable '${variable.name}' may be used before assignment at line ${expression.line}, column ${expression.column}`,
+        expression.line
+      );
+    }
+  }
+
+  /**
+   * Get the type of the value an assignment stores, which for a compound
+   * assignment is the result of its operator
+   * @param {AssignmentExpression|IndexAssignmentExpression} expression The assignment
+   * @param {string} targetType The type of the assigned variable or element
+   * @returns {string|null} The type of the stored value
+   */
+  getAssignedType(expression, targetType) {
+    const valueType = this.getExpressionType(expression.value);
+    if (!expression.operator) {
+      return valueType;
+    }
+
+    this.checkOperands(expression.operator, targetType, valueType, expression.line);
+    return this.getOperatorType(expression.operator.type, targetType, valueType);
+  }
+
+  /**
+   * Visit an UpdateExpression node
+   * @param {UpdateExpression} expression The UpdateExpression node
+   */
+  visitUpdateExpression(expression) {
+    // The target is read, so it must already hold a value
+    this.visitExpression(expression.target);
+
+    const symbol = expression.target.symbol;
+    if (symbol && symbol.constant) {
+      this.addError(
+        `Cannot assign to constant '${symbol.name}'`,
+        expression.line
+      );
+    }
+
+    const targetType = this.getExpressionType(expression.target);
+    if (targetType && !this.isNumeric(targetType)) {
+      this.addError(
+        `Operator '${expression.operator.value}' requires a numeric variable`,
+        expression.line
+      );
+    }
+  }
+
+  /**
+   * Visit a CallExpression node
+   * @param {CallExpression} expression The CallExpression node
+   */
+  visitCallExpression(expression) {
+    expression.args.forEach(arg => this.visitExpression(arg));
+
+    if (this.scope.lookup(expression.callee)) {
+      this.addError(
+        `'${expression.callee}' is a variable and cannot be called`,
+        expression.line
+      );
+      return;
+    }
+
+    if (!this.functions.has(expression.callee)) {
+      this.addError(
+        `Function '${expression.callee}' is not declared`,
+        expression.line
+      );
+      return;
+    }
+
+    const signature = this.functions.get(expression.callee);
+    if (expression.args.length !== signature.params.length) {
+      this.addError(
+        `Function '${expression.callee}' expects ${signature.params.length} argument(s) but got ${expression.args.length}`,
+        expression.line
+      );
+      return;
+    }
+
+    // Only a call made for its effect may have no value
+    if (signature.returnType === 'KHALI' && expression !== this.discarded) {
+      this.addError(
+        `Function '${expression.callee}' is 'khali' and has no value to use`,
+        expression.line
+      );
+    }
+
+    expression.args.forEach((arg, i) => {
+      const argType = this.getExpressionType(arg);
+      if (argType && !this.isTypeCompatible(signature.params[i], argType)) {
+        this.addError(
+          `Argument ${i + 1} of '${expression.callee}' must be of type '${signature.params[i]}' but got '${argType}'` +
+            this.conversionHint(signature.params[i], argType),
+          arg.line
+        );
+      } else {
+        this.checkFloatRange(signature.params[i], arg);
+      }
+    });
+  }
+
+  /**
+   * Visit a CastExpression node
+   * @param {CastExpression} expression The CastExpression node
+   */
+  visitCastExpression(expression) {
+    this.visitExpression(expression.expression);
+
+    // Numbers and characters convert into one another; nothing else does
+    const valueType = this.getExpressionType(expression.expression);
+    if (valueType && !this.isConvertible(valueType)) {
+      this.addError(
+        `Cannot convert a value of type '${valueType}' to '${expression.targetType.toLowerCase()}'`,
+        expression.line
+      );
+    }
+
+    // A constant converts at compile time, so it must fit its new type
+    this.checkConstantRange(expression, [expression.expression]);
+    this.checkFloatRange(expression.targetType, expression.expression);
+  }
+
+  /**
+   * Visit an IndexAssignmentExpression node
+   * @param {IndexAssignmentExpression} expression The IndexAssignmentExpression node
+   */
+  visitIndexAssignmentExpression(expression) {
+    this.checkIndex(expression, expression.name, expression.index);
+    this.visitExpression(expression.value);
+
+    if (this.isArray(expression.name)) {
+      const elementType = expression.symbol.type;
+      const valueType = this.getAssignedType(expression, elementType);
+
+      if (valueType && !this.isTypeCompatible(elementType, valueType)) {
         this.addError(
-          `Variable '${expression.name}' is not initialized`,
+          `Cannot assign a value of type '${valueType}' to an element of array '${expression.name}' of type '${elementType}'` +
+            this.conversionHint(elementType, valueType),
           expression.line
         );
+      } else if (!expression.operator) {
+        this.checkFloatRange(elementType, expression.value);
       }
     }
   }
 
+  /**
+   * Visit an IndexExpression node
+   * @param {IndexExpression} expression The IndexExpression node
+   */
+  visitIndexExpression(expression) {
+    this.checkIndex(expression, expression.name, expression.index);
+  }
+
+  /**
+   * Check that a name refers to an array and that an index into it is valid
+   * @param {ASTNode} expression The node accessing the array
+   * @param {string} name The array name
+   * @param {ASTNode} index The index expression
+   */
+  checkIndex(expression, name, index) {
+    const line = expression.line;
+    this.visitExpression(index);
+
+    const indexType = this.getExpressionType(index);
+    if (indexType && !this.isInteger(indexType)) {
+      this.addError(`Array index must be an integer`, line);
+    }
+
+    const symbol = this.resolve(expression, name);
+    if (!symbol) {
+      this.addError(`Variable '${name}' is not declared`, line);
+      return;
+    }
+
+    if (!this.isArray(name)) {
+      this.addError(`Variable '${name}' is not an array`, line);
+      return;
+    }
+
+    // Constant indices can be checked against the declared size
+    const size = symbol.size;
+    const constantIndex = this.getConstantIndex(index);
+    if (constantIndex !== null && size !== null && (constantIndex < 0 || constantIndex >= size)) {
+      this.addError(
+        `Index ${constantIndex} is out of bounds for array '${name}' of size ${size}`,
+        line
+      );
+    }
+  }
+
+  /**
+   * Get the value of an index expression if it is a constant
+   * @param {ASTNode} index The index expression
+   * @returns {number|null} The constant index, or null if it is not constant
+   */
+  getConstantIndex(index) {
+    const value = this.evaluateConstant(index);
+    return Number.isInteger(value) ? value : null;
+  }
+
+  /**
+   * Evaluate an expression built only from literals and named constants
+   * @param {ASTNode} expression The expression (already visited)
+   * @returns {number|string|boolean|undefined} The value, or undefined if it is not constant
+   */
+  evaluateConstant(expression) {
+    switch (expression.constructor.name) {
+      case 'LiteralExpression':
+        return expression.value;
+      case 'VariableExpression':
+        return expression.symbol && expression.symbol.constant
+          ? expression.symbol.value
+          : undefined;
+      case 'UnaryExpression': {
+        const value = this.evaluateConstant(expression.right);
+        if (value === undefined) return undefined;
+        switch (expression.operator.type) {
+          case 'MINUS': return -value;
+          case 'TILDE': return ~value;
+          default: return !value;
+        }
+      }
+      case 'BinaryExpression': {
+        const left = this.evaluateConstant(expression.left);
+        const right = this.evaluateConstant(expression.right);
+        if (left === undefined || right === undefined) return undefined;
+        return this.foldConstant(expression, left, right);
+      }
+      case 'CastExpression': {
+        const value = this.evaluateConstant(expression.expression);
+        if (value === undefined) return undefined;
+        return this.convertConstant(value, expression.targetType);
+      }
+      case 'ConditionalExpression': {
+        const condition = this.evaluateConstant(expression.condition);
+        if (condition === undefined) return undefined;
+        return this.evaluateConstant(condition ? expression.thenBranch : expression.elseBranch);
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Report a constant 'sahih' expression whose value does not fit in 32 bits,
+   * as the parser does for literals
+   * @param {ASTNode} expression The expression (already visited)
+   * @param {ASTNode[]} operands Its operands; a 'sahih' operand that overflows was reported already
+   */
+  checkConstantRange(expression, operands) {
+    if (!this.isInteger(this.getExpressionType(expression))) return;
+
+    const overflows = value => Number.isInteger(value) && (value < -2147483648 || value > 2147483647);
+    const reported = operand =>
+      this.isInteger(this.getExpressionType(operand)) && overflows(this.evaluateConstant(operand));
+    const value = this.evaluateConstant(expression);
+    if (overflows(value) && !operands.some(reported)) {
+      this.addError(`Constant expression overflows 'sahih' (its value is ${value})`, expression.line);
+    }
+  }
+
+  /**
+   * Warn about a double constant converted to an 'ashar' that is too large
+   * for a float, where it would become infinite
+   * @param {string} targetType The type the value is converted to
+   * @param {ASTNode} expression The converted expression (already visited)
+   */
+  checkFloatRange(targetType, expression) {
+    // A value that already is an 'ashar' was checked where it became one
+    if (targetType !== 'ASHAR' || this.getExpressionType(expression) === 'ASHAR') return;
+
+    const value = this.evaluateConstant(expression);
+    if (typeof value === 'number' && Math.abs(value) > ASHAR_MAX) {
+      this.addWarning(`Constant ${value} is out of range for 'ashar' and becomes infinite`, expression.line);
+    }
+  }
+
+  /**
+   * Convert a constant to the type of a conversion expression
+   * @param {number|string} value The constant (a character is a one-letter string)
+   * @param {string} targetType SAHIH, ASHAR or HARF
+   * @returns {number|string} The converted value
+   */
+  convertConstant(value, targetType) {
+    const number = typeof value === 'string' ? value.charCodeAt(0) : value;
+    switch (targetType) {
+      case 'SAHIH': return Math.trunc(number);
+      case 'ASHAR': return number;
+      default: return String.fromCharCode(Math.trunc(number) & 0xff);
+    }
+  }
+
+  /**
+   * Compute a binary operation on two constant operands
+   * @param {BinaryExpression} expression The binary expression
+   * @param {number|string|boolean} left The left operand's value
+   * @param {number|string|boolean} right The right operand's value
+   * @returns {number|string|boolean|undefined} The value, or undefined if it cannot be computed
+   */
+  foldConstant(expression, left, right) {
+    switch (expression.operator.type) {
+      case 'PLUS': return left + right;
+      case 'MINUS': return left - right;
+      case 'MULTIPLY': return left * right;
+      case 'DIVIDE':
+        if (right === 0) return undefined;
+        // Integer division truncates, as it does in the generated C++
+        return expression.resolvedType === 'INTEGER' ? Math.trunc(left / right) : left / right;
+      case 'MODULO':
+        return right === 0 ? undefined : left % right;
+      case 'AMPERSAND': return left & right;
+      case 'PIPE': return left | right;
+      case 'CARET': return left ^ right;
+      // Shifting by a negative or too large amount is undefined in C++
+      case 'LESS_LESS': return right >= 0 && right < 32 ? left << right : undefined;
+      case 'GREATER_GREATER': return right >= 0 && right < 32 ? left >> right : undefined;
+      case 'EQUAL_EQUAL': return left === right;
+      case 'NOT_EQUAL': return left !== right;
+      case 'LESS_THAN': return left < right;
+      case 'GREATER_THAN': return left > right;
+      case 'LESS_EQUAL': return left <= right;
+      case 'GREATER_EQUAL': return left >= right;
+      case 'VA': return left && right;
+      case 'YA': return left || right;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Check if a declared variable is an array
+   * @param {string} name The variable name
+   * @returns {boolean} True if the variable is an array
+   */
+  isArray(name) {
+    const symbol = this.scope.lookup(name);
+    return symbol !== null && symbol.size !== undefined;
+  }
+
   /**
    * Visit an InputExpression node
    * @param {InputExpression} expression The InputExpression node
    */
   visitInputExpression(expression) {
+    if (expression.index) {
+      this.checkIndex(expression, expression.variable, expression.index);
+      return;
+    }
+
     // Check if the variable is declared
-    if (!this.variables.has(expression.variable)) {
+    const variable = this.resolve(expression, expression.variable);
+    if (!variable) {
       this.addError(
         `Variable '${expression.variable}' is not declared`,
         expression.line
       );
+    } else if (this.isArray(expression.variable)) {
+      this.addError(
+        `Array '${expression.variable}' must be indexed`,
+        expression.line
+      );
+    } else if (variable.constant) {
+      this.addError(
+        `Cannot read input into constant '${expression.variable}'`,
+        expression.line
+      );
     } else {
-      // Mark the variable as initialized
-      const variable = this.variables.get(expression.variable);
-      variable.initialized = true;
-      this.variables.set(expression.variable, variable);
+      // Reading input assigns the variable
+      this.markAssigned(variable);
     }
   }
 
@@ -351,7 +1399,39 @@ class SemanticAnalyzer {
    * @param {OutputExpression} expression The OutputExpression node
    */
   visitOutputExpression(expression) {
-    this.visitExpression(expression.expression);
+    for (const value of expression.values) {
+      this.visitExpression(value.expression);
+      value.widthValue = this.getFormatConstant(value.width, 'Width');
+      value.precisionValue = this.getFormatConstant(value.precision, 'Precision');
+
+      if (value.precision) {
+        const type = this.getExpressionType(value.expression);
+        if (type && !this.isFloat(type)) {
+          this.addError(
+            `Precision can only be given for a floating-point value, got '${type}'`,
+            value.line
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Check the width or precision of a printed value
+   * @param {ASTNode|null} expression The width or precision, if given
+   * @param {string} name 'Width' or 'Precision', for error messages
+   * @returns {number|null} The value, or null if it is not given or not valid
+   */
+  getFormatConstant(expression, name) {
+    if (!expression) return null;
+
+    this.visitExpression(expression);
+    const value = this.evaluateConstant(expression);
+    if (!this.isInteger(this.getExpressionType(expression)) || !Number.isInteger(value) || value < 0) {
+      this.addError(`${name} of a printed value must be a constant, non-negative 'sahih'`, expression.line);
+      return null;
+    }
+    return value;
   }
 
   /**
@@ -370,6 +1450,22 @@ class SemanticAnalyzer {
       return this.getBinaryExpressionType(expression);
     } else if (expression.constructor.name === 'UnaryExpression') {
       return this.getUnaryExpressionType(expression);
+    } else if (expression.constructor.name === 'IndexExpression') {
+      return this.getVariableType(expression);
+    } else if (expression.constructor.name === 'CallExpression') {
+      return this.getCallExpressionType(expression);
+    } else if (expression.constructor.name === 'CastExpression') {
+      return expression.targetType;
+    } else if (expression.constructor.name === 'UpdateExpression') {
+      return this.getExpressionType(expression.target);
+    } else if (expression.constructor.name === 'AssignmentExpression' ||
+               expression.constructor.name === 'IndexAssignmentExpression') {
+      return this.getVariableType(expression);
+    } else if (expression.constructor.name === 'ConditionalExpression') {
+      return this.getCommonType(
+        this.getExpressionType(expression.thenBranch),
+        this.getExpressionType(expression.elseBranch)
+      );
     }
     
     return null;
@@ -386,14 +1482,12 @@ class SemanticAnalyzer {
 
   /**
    * Get the type of a variable expression
-   * @param {VariableExpression} expression The variable expression
+   * @param {VariableExpression|IndexExpression} expression The variable or array element expression
    * @returns {string|null} The type of the variable
    */
   getVariableType(expression) {
-    if (this.variables.has(expression.name)) {
-      return this.variables.get(expression.name).type;
-    }
-    return null;
+    const symbol = expression.symbol || this.scope.lookup(expression.name);
+    return symbol ? symbol.type : null;
   }
 
   /**
@@ -404,25 +1498,58 @@ class SemanticAnalyzer {
   getBinaryExpressionType(expression) {
     const leftType = this.getExpressionType(expression.left);
     const rightType = this.getExpressionType(expression.right);
-    
+    return this.getOperatorType(expression.operator.type, leftType, rightType);
+  }
+
+  /**
+   * Get the type of the result of a binary operator
+   * @param {string} operatorType The operator's token type
+   * @param {string|null} leftType The type of the left operand
+   * @param {string|null} rightType The type of the right operand
+   * @returns {string|null} The type of the result
+   */
+  getOperatorType(operatorType, leftType, rightType) {
     if (!leftType || !rightType) return null;
     
-    switch (expression.operator.type) {
+    switch (operatorType) {
       case 'PLUS':
+        if (this.isString(leftType) || this.isString(rightType)) {
+          return 'STRING';
+        }
+        if (this.isFloat(leftType) || this.isFloat(rightType)) {
+          return 'FLOAT';
+        }
+        return 'INTEGER';
       case 'MINUS':
       case 'MULTIPLY':
       case 'DIVIDE':
-        if (leftType === 'FLOAT' || rightType === 'FLOAT') {
+        // Strings only join, so there is no result to check further
+        if (this.isString(leftType) || this.isString(rightType)) {
+          return null;
+        }
+        if (this.isFloat(leftType) || this.isFloat(rightType)) {
           return 'FLOAT';
         }
         return 'INTEGER';
+      case 'MODULO':
+      case 'AMPERSAND':
+      case 'PIPE':
+      case 'CARET':
+      case 'LESS_LESS':
+      case 'GREATER_GREATER':
+        if (this.isString(leftType) || this.isString(rightType)) {
+          return null;
+        }
+        return 'INTEGER';
       case 'EQUAL_EQUAL':
       case 'NOT_EQUAL':
       case 'LESS_THAN':
       case 'GREATER_THAN':
       case 'LESS_EQUAL':
       case 'GREATER_EQUAL':
-        return 'INTEGER'; // Boolean expressions are represented as integers
+      case 'VA':
+      case 'YA':
+        return 'BOOLEAN';
     }
     
     return null;
@@ -442,11 +1569,50 @@ class SemanticAnalyzer {
       return rightType;
     } else if (expression.operator.type === 'BANG') {
       return 'BOOLEAN';
+    } else if (expression.operator.type === 'TILDE') {
+      return 'INTEGER';
     }
     
     return null;
   }
 
+  /**
+   * Get the type both arms of a conditional expression convert to
+   * @param {string|null} firstType The type of one arm
+   * @param {string|null} secondType The type of the other arm
+   * @returns {string|null} The common type, or null if there is none
+   */
+  getCommonType(firstType, secondType) {
+    if (!firstType || !secondType) return null;
+    if (firstType === secondType) return firstType;
+
+    if (this.isNumeric(firstType) && this.isNumeric(secondType)) {
+      return this.isFloat(firstType) || this.isFloat(secondType) ? 'FLOAT' : 'INTEGER';
+    }
+    if (this.isTextual(firstType) && this.isTextual(secondType)) {
+      return this.isString(firstType) || this.isString(secondType) ? 'STRING' : 'CHARACTER';
+    }
+    if (this.isBoolean(firstType) && this.isBoolean(secondType)) {
+      return 'BOOLEAN';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the type of a call expression
+   * @param {CallExpression} expression The call expression
+   * @returns {string|null} The return type of the called function
+   */
+  getCallExpressionType(expression) {
+    if (this.functions.has(expression.callee) && !this.scope.lookup(expression.callee)) {
+      // A 'khali' call has no value; using it as one is reported where it is visited
+      const returnType = this.functions.get(expression.callee).returnType;
+      return returnType === 'KHALI' ? null : returnType;
+    }
+    return null;
+  }
+
   /**
    * Check if a type is numeric
    * @param {string} type The type to check
@@ -456,15 +1622,82 @@ class SemanticAnalyzer {
     return type === 'INTEGER' || type === 'FLOAT' || type === 'SAHIH' || type === 'ASHAR';
   }
 
+  /**
+   * Check if a type is an integer type
+   * @param {string} type The type to check
+   * @returns {boolean} True if the type is an integer type
+   */
+  isInteger(type) {
+    return type === 'INTEGER' || type === 'SAHIH';
+  }
+
+  /**
+   * Check if a type is an integer or character type
+   * @param {string} type The type to check
+   * @returns {boolean} True if the type can be switched on
+   */
+  isIntegral(type) {
+    return type === 'INTEGER' || type === 'SAHIH' || type === 'CHARACTER' || type === 'HARF';
+  }
+
+  /**
+   * Check if a type is floating-point
+   * @param {string} type The type to check
+   * @returns {boolean} True if the type is floating-point
+   */
+  isFloat(type) {
+    return type === 'FLOAT' || type === 'ASHAR';
+  }
+
+  /**
+   * Check if a type is a string
+   * @param {string} type The type to check
+   * @returns {boolean} True if the type is a string
+   */
+  isString(type) {
+    return type === 'STRING' || type === 'MATN';
+  }
+
+  /**
+   * Check if a type can take part in string concatenation
+   * @param {string} type The type to check
+   * @returns {boolean} True if the type is a string or a character
+   */
+  isTextual(type) {
+    return this.isString(type) || type === 'CHARACTER' || type === 'HARF';
+  }
+
+  /**
+   * Check if a type can be converted with sahih(), ashar() or harf()
+   * @param {string} type The type to check
+   * @returns {boolean} True if the type is numeric or a character
+   */
+  isConvertible(type) {
+    return this.isNumeric(type) || type === 'CHARACTER' || type === 'HARF';
+  }
+
+  /**
+   * Suggest the conversion that makes a value of one type fit another
+   * @param {string} targetType The type needed
+   * @param {string} sourceType The type given
+   * @returns {string} A hint to append to a type mismatch error, or ''
+   */
+  conversionHint(targetType, sourceType) {
+    if (!this.isConvertible(targetType) || !this.isConvertible(sourceType)) {
+      return '';
+    }
+    const keyword = this.isInteger(targetType) ? 'sahih' : this.isFloat(targetType) ? 'ashar' : 'harf';
+    return `; convert it explicitly with ${keyword}(...)`;
+  }
+
   /**
    * Check if a type is boolean
    * @param {string} type The type to check
    * @returns {boolean} True if the type is boolean
    */
   isBoolean(type) {
-  // Accept both INTEGER and BOOLEAN types as valid boolean expressions
-  return type === 'INTEGER' || type === 'BOOLEAN' || type === 'SAHIH' || type === 'int' || type === 'boolean';
-}
+    return type === 'BOOLEAN' || type === 'MANTEGHI';
+  }
 
   /**
    * Check if two types are compatible for assignment and comparison
@@ -492,6 +1725,14 @@ class SemanticAnalyzer {
     if (targetType === 'HARF' && sourceType === 'CHARACTER') return true;
     if (targetType === 'CHARACTER' && sourceType === 'HARF') return true;
     
+    // MATN is compatible with STRING
+    if (targetType === 'MATN' && sourceType === 'STRING') return true;
+    if (targetType === 'STRING' && sourceType === 'MATN') return true;
+    
+    // MANTEGHI is compatible with BOOLEAN
+    if (targetType === 'MANTEGHI' && sourceType === 'BOOLEAN') return true;
+    if (targetType === 'BOOLEAN' && sourceType === 'MANTEGHI') return true;
+    
     return false;
   }
 
@@ -503,6 +1744,15 @@ class SemanticAnalyzer {
   addError(message, line) {
     this.errors.push({ message, line });
   }
+
+  /**
+   * Add a warning; warnings are reported but do not stop compilation
+   * @param {string} message The warning message
+   * @param {number} line The line number
+   */
+  addWarning(message, line) {
+    this.warnings.push({ message, line });
+  }
 }
 
 module.exports = SemanticAnalyzer;
\ No newline at end of file
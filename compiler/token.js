@@ -1,9 +1,12 @@
 class Token {
-  constructor(type, value, line, column) {
+  constructor(type, value, line, column, offset = null, endOffset = null) {
     this.type = type;
     this.value = value;
-    this.line = line;
-    this.column = column;
+    this.line = line;           // Line of the token's first character
+    this.column = column;       // Column of the token's first character
+    this.offset = offset;       // Byte offset of the token in the UTF-8 source
+    this.endOffset = endOffset; // Byte offset just past the token
+    this.doc = null;            // Documentation comment right before the token
   }
 }
 
@@ -12,14 +15,29 @@ const TokenType = {
   // Keywords
   BEGIR: 'BEGIR',         // cin
   BENVIS: 'BENVIS',       // cout
+  CHAP: 'CHAP',           // cout without a line break
   SAHIH: 'SAHIH',         // int
   ASHAR: 'ASHAR',         // float
   HARF: 'HARF',           // char
+  MATN: 'MATN',           // string
+  MANTEGHI: 'MANTEGHI',   // bool
+  DOROST: 'DOROST',       // true
+  GHALAT: 'GHALAT',       // false
   AGE: 'AGE',             // if
   VALI: 'VALI',   // else if
   VAGARNA: 'VAGARNA',     // else
   BARAYE: 'BARAYE',       // for
   VAGHTI: 'VAGHTI',       // while
+  ANJAM: 'ANJAM',         // do
+  ENTEKHAB: 'ENTEKHAB',   // switch
+  SABET: 'SABET',         // const
+  HALAT: 'HALAT',         // case
+  PISHFARZ: 'PISHFARZ',   // default
+  SHEKAST: 'SHEKAST',     // break
+  EDAME: 'EDAME',         // continue
+  TABE: 'TABE',           // function
+  BARGARDAN: 'BARGARDAN', // return
+  KHALI: 'KHALI',         // void
   
   // Symbols
   EQUAL: 'EQUAL',             // =
@@ -27,6 +45,14 @@ const TokenType = {
   MINUS: 'MINUS',             // -
   MULTIPLY: 'MULTIPLY',       // *
   DIVIDE: 'DIVIDE',           // /
+  MODULO: 'MODULO',           // %
+  PLUS_EQUAL: 'PLUS_EQUAL',   // +=
+  MINUS_EQUAL: 'MINUS_EQUAL', // -=
+  MULTIPLY_EQUAL: 'MULTIPLY_EQUAL', // *=
+  DIVIDE_EQUAL: 'DIVIDE_EQUAL', // /=
+  MODULO_EQUAL: 'MODULO_EQUAL', // %=
+  PLUS_PLUS: 'PLUS_PLUS',     // ++
+  MINUS_MINUS: 'MINUS_MINUS', // --
   LESS_THAN: 'LESS_THAN',     // <
   GREATER_THAN: 'GREATER_THAN', // >
   LESS_EQUAL: 'LESS_EQUAL',   // <=
@@ -35,14 +61,25 @@ const TokenType = {
   NOT_EQUAL: 'NOT_EQUAL',     // !=
   VA: 'VA',                   // &&
   YA: 'YA',                   // ||
+  BANG: 'BANG',               // !
+  AMPERSAND: 'AMPERSAND',     // &
+  PIPE: 'PIPE',               // |
+  CARET: 'CARET',             // ^
+  TILDE: 'TILDE',             // ~
+  LESS_LESS: 'LESS_LESS',     // <<
+  GREATER_GREATER: 'GREATER_GREATER', // >>
   
   // Punctuation
   LEFT_PAREN: 'LEFT_PAREN',   // (
   RIGHT_PAREN: 'RIGHT_PAREN', // )
   LEFT_BRACE: 'LEFT_BRACE',   // {
   RIGHT_BRACE: 'RIGHT_BRACE', // }
+  LEFT_BRACKET: 'LEFT_BRACKET',   // [
+  RIGHT_BRACKET: 'RIGHT_BRACKET', // ]
   SEMICOLON: 'SEMICOLON',     // ;
   COMMA: 'COMMA',             // ,
+  COLON: 'COLON',             // :
+  QUESTION: 'QUESTION',       // ?
   QUOTE: 'QUOTE',             // "
   
   // Literals
@@ -51,6 +88,7 @@ const TokenType = {
   FLOAT: 'FLOAT',             // Float literals
   STRING: 'STRING',           // String literals
   CHARACTER: 'CHARACTER',     // Character literals
+  BOOLEAN: 'BOOLEAN',         // Boolean literals
   
   // Other
   EOF: 'EOF',                 // End of file
@@ -61,21 +99,116 @@ const TokenType = {
 const Keywords = {
   'begir': TokenType.BEGIR,
   'benvis': TokenType.BENVIS,
+  'chap': TokenType.CHAP,
   'sahih': TokenType.SAHIH,
   'ashar': TokenType.ASHAR,
   'harf': TokenType.HARF,
+  'matn': TokenType.MATN,
+  'manteghi': TokenType.MANTEGHI,
+  'dorost': TokenType.DOROST,
+  'ghalat': TokenType.GHALAT,
   'age': TokenType.AGE,
   'vali': TokenType.VALI,
   'vagarna': TokenType.VAGARNA,
   'baraye': TokenType.BARAYE,
   'vaghti': TokenType.VAGHTI,
-  'ta': TokenType.TA,
+  'anjam': TokenType.ANJAM,
+  'entekhab': TokenType.ENTEKHAB,
+  'sabet': TokenType.SABET,
+  'halat': TokenType.HALAT,
+  'pishfarz': TokenType.PISHFARZ,
+  'shekast': TokenType.SHEKAST,
+  'edame': TokenType.EDAME,
+  'tabe': TokenType.TABE,
+  'bargardan': TokenType.BARGARDAN,
+  'khali': TokenType.KHALI,
   'va': TokenType.VA,
-  'ya': TokenType.YA
+  'ya': TokenType.YA,
+  'na': TokenType.BANG
 };
 
+// The keywords written in Persian script
+const PersianKeywords = {
+  'بگیر': TokenType.BEGIR,
+  'بنویس': TokenType.BENVIS,
+  'چاپ': TokenType.CHAP,
+  'صحیح': TokenType.SAHIH,
+  'اعشار': TokenType.ASHAR,
+  'حرف': TokenType.HARF,
+  'متن': TokenType.MATN,
+  'منطقی': TokenType.MANTEGHI,
+  'درست': TokenType.DOROST,
+  'غلط': TokenType.GHALAT,
+  'اگه': TokenType.AGE,
+  'ولی': TokenType.VALI,
+  'وگرنه': TokenType.VAGARNA,
+  'برای': TokenType.BARAYE,
+  'وقتی': TokenType.VAGHTI,
+  'انجام': TokenType.ANJAM,
+  'انتخاب': TokenType.ENTEKHAB,
+  'ثابت': TokenType.SABET,
+  'حالت': TokenType.HALAT,
+  'پیش‌فرض': TokenType.PISHFARZ,
+  'پیشفرض': TokenType.PISHFARZ,
+  'شکست': TokenType.SHEKAST,
+  'ادامه': TokenType.EDAME,
+  'تابع': TokenType.TABE,
+  'برگردان': TokenType.BARGARDAN,
+  'خالی': TokenType.KHALI,
+  'و': TokenType.VA,
+  'یا': TokenType.YA,
+  'نه': TokenType.BANG
+};
+
+// The keywords in English, for comparing programs with C++
+const EnglishKeywords = {
+  'read': TokenType.BEGIR,
+  'print': TokenType.BENVIS,
+  'write': TokenType.CHAP,
+  'int': TokenType.SAHIH,
+  'float': TokenType.ASHAR,
+  'char': TokenType.HARF,
+  'string': TokenType.MATN,
+  'bool': TokenType.MANTEGHI,
+  'true': TokenType.DOROST,
+  'false': TokenType.GHALAT,
+  'if': TokenType.AGE,
+  // 'vali' and 'vagarna' both start an else branch; English spells them alike
+  'else': TokenType.VAGARNA,
+  'for': TokenType.BARAYE,
+  'while': TokenType.VAGHTI,
+  'do': TokenType.ANJAM,
+  'switch': TokenType.ENTEKHAB,
+  'const': TokenType.SABET,
+  'case': TokenType.HALAT,
+  'default': TokenType.PISHFARZ,
+  'break': TokenType.SHEKAST,
+  'continue': TokenType.EDAME,
+  'function': TokenType.TABE,
+  'return': TokenType.BARGARDAN,
+  'void': TokenType.KHALI,
+  'and': TokenType.VA,
+  'or': TokenType.YA,
+  'not': TokenType.BANG
+};
+
+// Keyword tables by dialect name; a source file picks one with a
+// '# dialect: <name>' line before its first token
+const Dialects = {
+  finglish: Keywords,
+  persian: PersianKeywords,
+  english: EnglishKeywords
+};
+
+// Without a choice, keywords are accepted in Finglish and in Persian script
+const DefaultKeywords = { ...Keywords, ...PersianKeywords };
+
 module.exports = {
   Token,
   TokenType,
-  Keywords
+  Keywords,
+  PersianKeywords,
+  EnglishKeywords,
+  Dialects,
+  DefaultKeywords
 };
\ No newline at end of file
@@ -9,13 +9,30 @@ const SemanticAnalyzer = require('./compiler/semantic');
 const IntermediateGenerator = require('./compiler/intermediate');
 const Optimizer = require('./compiler/optimizer');
 const CodeGenerator = require('./compiler/generator');
+const DialectConverter = require('./compiler/converter');
 
 if (process.argv.length < 3) {
   console.error(chalk.red('Error: Source file is required'));
-  console.log(chalk.yellow('Usage: node index.js <source_file.txt>'));
+  console.log(chalk.yellow(
+    'Usage: node index.js <source_file.txt> [--no-shadow-warnings] [--dialect=<name>] [--convert-to=<name>]'
+  ));
   process.exit(1);
 }
 
+/**
+ * Get the value of a '--name=value' command line option
+ * @param {string} name The option name
+ * @returns {string|null} The value, or null if the option is not given
+ */
+function optionValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+// Keyword dialect of a source file that has no '# dialect:' line
+const dialect = optionValue('dialect');
+
 const sourceFile = process.argv[2];
 
 if (!fs.existsSync(sourceFile)) {
@@ -25,11 +42,18 @@ if (!fs.existsSync(sourceFile)) {
 
 try {
   const sourceCode = fs.readFileSync(sourceFile, 'utf8');
+
+  // Converting to another dialect prints the converted program instead of compiling it
+  const targetDialect = optionValue('convert-to');
+  if (targetDialect) {
+    process.stdout.write(new DialectConverter(targetDialect).convert(sourceCode, { dialect }));
+    process.exit(0);
+  }
   
   console.log(chalk.blue('Starting compilation process for AkbariLang...'));
   
   console.log(chalk.cyan('Step 1: Lexical Analysis'));
-  const lexer = new Lexer(sourceCode);
+  const lexer = new Lexer(sourceCode, { dialect });
   const tokens = lexer.tokenize();
   
   
@@ -42,8 +66,13 @@ try {
   
   // Step 3: Semantic Analysis
   console.log(chalk.cyan('Step 3: Semantic Analysis'));
-  const semanticAnalyzer = new SemanticAnalyzer();
+  const semanticAnalyzer = new SemanticAnalyzer({
+    warnShadowing: !process.argv.includes('--no-shadow-warnings')
+  });
   semanticAnalyzer.analyze(ast);
+  semanticAnalyzer.warnings.forEach(warning => {
+    console.log(chalk.yellow(`Warning at line ${warning.line}: ${warning.message}`));
+  });
   
   
   // Step 4: Intermediate Code Generation
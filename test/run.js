@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const Lexer = require('../compiler/lexer');
+const Parser = require('../compiler/parser');
+const SemanticAnalyzer = require('../compiler/semantic');
+const IntermediateGenerator = require('../compiler/intermediate');
+const Optimizer = require('../compiler/optimizer');
+const CodeGenerator = require('../compiler/generator');
+
+/**
+ * Test runner
+ * Each test/programs/<name>.txt is compiled to C++, built with g++ and run;
+ * its standard output must equal <name>.out, and <name>.in, if present, is
+ * given as its standard input. The warnings it compiles with must equal
+ * <name>.warn, or be none without one. A program with a <name>.err file must
+ * instead fail to compile with that error. Each test/tokens/<name>.txt is only lexed;
+ * its tokens, one 'line:column offset-endOffset TYPE value' per line, with
+ * byte offsets into the file and the token's documentation comment, if any,
+ * after 'doc', or the lexical error it reports must equal <name>.tokens
+ */
+
+/**
+ * Compile an AkbariLang program to C++
+ * @param {string} source The program source
+ * @returns {{code: string, warnings: string}} The generated C++ code and the
+ * semantic warnings, one 'Warning at line N: message' per line
+ */
+function compile(source) {
+  const tokens = new Lexer(source).tokenize();
+  const ast = new Parser(tokens).parse();
+  const semanticAnalyzer = new SemanticAnalyzer({ warnShadowing: false });
+  semanticAnalyzer.analyze(ast);
+  const intermediateCode = new IntermediateGenerator().generate(ast);
+  const optimizedCode = new Optimizer().optimize(intermediateCode);
+  return {
+    code: new CodeGenerator().generate(optimizedCode),
+    warnings: semanticAnalyzer.warnings
+      .map(warning => `Warning at line ${warning.line}: ${warning.message}\n`)
+      .join('')
+  };
+}
+
+/**
+ * Read the file next to a test with another extension, if it exists
+ * @param {string} file The test file
+ * @param {string} extension The extension of the file to read
+ * @returns {string|null} The file contents, or null if there is no such file
+ */
+function companion(file, extension) {
+  const other = file.replace(/\.txt$/, extension);
+  return fs.existsSync(other) ? fs.readFileSync(other, 'utf8') : null;
+}
+
+/**
+ * List the test programs in a directory
+ * @param {string} directory The directory, relative to this script
+ * @returns {string[]} The paths of its .txt files
+ */
+function testFiles(directory) {
+  const dir = path.join(__dirname, directory);
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.txt'))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Compile, build and run one test program
+ * @param {string} file The program file
+ * @param {string} workDir Directory for the generated files
+ * @returns {string|null} A description of the failure, or null if it passed
+ */
+function runProgram(file, workDir) {
+  const cppFile = path.join(workDir, 'test.cpp');
+  const executable = path.join(workDir, 'test');
+
+  // A program with a .err file must be rejected with exactly that error
+  const expectedError = companion(file, '.err');
+  let compiled;
+  try {
+    compiled = compile(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (expectedError === null) {
+      return `compilation failed: ${error.message}`;
+    }
+    if (`${error.message}\n` !== expectedError) {
+      return `unexpected error:\n--- expected\n${expectedError}--- actual\n${error.message}\n`;
+    }
+    return null;
+  }
+  if (expectedError !== null) {
+    return `compiled, but was expected to fail with:\n${expectedError}`;
+  }
+
+  const expectedWarnings = companion(file, '.warn') || '';
+  if (compiled.warnings !== expectedWarnings) {
+    return `unexpected warnings:\n--- expected\n${expectedWarnings}--- actual\n${compiled.warnings}`;
+  }
+  fs.writeFileSync(cppFile, compiled.code);
+
+  const build = spawnSync('g++', [cppFile, '-o', executable], { encoding: 'utf8' });
+  if (build.status !== 0) {
+    return `g++ failed:\n${build.stderr}`;
+  }
+
+  const run = spawnSync(executable, [], {
+    input: companion(file, '.in') || '',
+    encoding: 'utf8',
+    timeout: 10000
+  });
+  if (run.status !== 0) {
+    return `program exited with ${run.status === null ? run.signal : `status ${run.status}`}`;
+  }
+
+  const expected = companion(file, '.out');
+  if (expected === null) {
+    return 'no expected output (.out file)';
+  }
+  if (run.stdout !== expected) {
+    return `unexpected output:\n--- expected\n${expected}--- actual\n${run.stdout}`;
+  }
+  return null;
+}
+
+/**
+ * Lex one test file and compare its tokens
+ * @param {string} file The source file
+ * @returns {string|null} A description of the failure, or null if it passed
+ */
+function runTokens(file) {
+  // A file the lexer rejects is expected to give its error message instead
+  let actual;
+  try {
+    actual = new Lexer(fs.readFileSync(file, 'utf8'))
+      .tokenize()
+      .map(token => {
+        const doc = token.doc === null ? '' : ` doc ${JSON.stringify(token.doc)}`;
+        return `${token.line}:${token.column} ${token.offset}-${token.endOffset} ${token.type} ${JSON.stringify(token.value)}${doc}\n`;
+      })
+      .join('');
+  } catch (error) {
+    actual = `${error.message}\n`;
+  }
+
+  const expected = companion(file, '.tokens');
+  if (expected === null) {
+    return 'no expected tokens (.tokens file)';
+  }
+  if (actual !== expected) {
+    return `unexpected tokens:\n--- expected\n${expected}--- actual\n${actual}`;
+  }
+  return null;
+}
+
+/**
+ * Report the result of one test
+ * @param {string} file The test file
+ * @param {string|null} failure A description of the failure, or null if it passed
+ * @returns {boolean} True if the test passed
+ */
+function report(file, failure) {
+  const name = path.relative(__dirname, file);
+  console.log(failure ? `FAIL ${name}: ${failure}` : `ok   ${name}`);
+  return !failure;
+}
+
+/**
+ * Run every test and report the results
+ * @returns {number} The process exit code
+ */
+function main() {
+  if (spawnSync('g++', ['--version']).status !== 0) {
+    console.error('g++ is required to run the test programs');
+    return 1;
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'akbari-test-'));
+  let failures = 0;
+  try {
+    for (const file of testFiles('tokens')) {
+      failures += report(file, runTokens(file)) ? 0 : 1;
+    }
+    for (const file of testFiles('programs')) {
+      failures += report(file, runProgram(file, workDir)) ? 0 : 1;
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? 'All tests passed' : `${failures} test(s) failed`);
+  return failures === 0 ? 0 : 1;
+}
+
+process.exit(main());